@@ -4,16 +4,20 @@
 // @description  Automatically sets YouTube playback speed with configurable settings, smart detection, and better reliability. Includes update checker.
 // @author       RM
 // @match        *://*.youtube.com/*
+// @match        *://*.youtube-nocookie.com/*
 // @exclude      *://music.youtube.com/*
 // @grant        GM.getValue
 // @grant        GM.setValue
 // @grant        GM.registerMenuCommand
+// @grant        GM.setClipboard
 // @grant        GM_getValue
 // @grant        GM_setValue
 // @grant        GM_registerMenuCommand
 // @grant        GM_xmlhttpRequest
 // @grant        GM_notification
+// @grant        GM_setClipboard
 // @grant        GM_info
+// @grant        unsafeWindow
 // @downloadURL  https://raw.githubusercontent.com/ODRise/YTDS/main/yt-playback-speed.user.js
 // @updateURL    https://raw.githubusercontent.com/ODRise/YTDS/main/yt-playback-speed.user.js
 // ==/UserScript==
@@ -24,26 +28,180 @@
     // ===============================
     // CONFIGURATION & CONSTANTS
     // ===============================
+    const SPEED_LIMITS = { MIN: 0.0625, MAX: 16 }; // HTMLMediaElement supported range
+
     const CONFIG = {
-        DEFAULT_SETTINGS: {
-            speed: 1.25,
-            enableShorts: false,
-            enableLive: false,
-            enablePremiere: false,
-            enableMusic: false, // Default to false: Skip music videos on www.youtube.com by default
-            debug: false
+        // Every setting with its type, allowed range and default. Unknown keys and invalid values are rejected.
+        SETTINGS_SCHEMA: {
+            speed: { type: 'number', min: SPEED_LIMITS.MIN, max: SPEED_LIMITS.MAX, default: 1.25 },
+            enableShorts: { type: 'boolean', default: false },
+            liveMode: { type: 'string', enum: ['skip', 'speed', 'catchUp'], default: 'skip' }, // What to do with live streams
+            liveCatchUpSpeed: { type: 'number', min: 1, max: 4, default: 1.5 }, // Used while behind the live edge
+            liveCatchUpTarget: { type: 'number', integer: true, min: 2, max: 120, default: 10 }, // Seconds behind the edge that count as caught up
+            enablePremiere: { type: 'boolean', default: false },
+            enableMusic: { type: 'boolean', default: false }, // Default to false: Skip music videos on www.youtube.com by default
+            enableEmbeds: { type: 'boolean', default: true }, // Embedded players on other sites and youtube-nocookie.com
+            favoriteSpeeds: { // Quick picks in the settings panel
+                type: 'array', minItems: 1, maxItems: 20,
+                items: { type: 'number', min: SPEED_LIMITS.MIN, max: SPEED_LIMITS.MAX },
+                default: [0.25, 0.5, 0.75, 1, 1.25, 1.5, 1.75, 2]
+            },
+            carryManualSpeed: { type: 'boolean', default: false }, // Keep a manually chosen speed for the next videos
+            skipSpeeds: { // Restored when a skipped video type follows a video the script sped up
+                type: 'object',
+                properties: {
+                    shorts: { type: 'number', min: SPEED_LIMITS.MIN, max: SPEED_LIMITS.MAX },
+                    live: { type: 'number', min: SPEED_LIMITS.MIN, max: SPEED_LIMITS.MAX },
+                    premiere: { type: 'number', min: SPEED_LIMITS.MIN, max: SPEED_LIMITS.MAX },
+                    music: { type: 'number', min: SPEED_LIMITS.MIN, max: SPEED_LIMITS.MAX }
+                },
+                default: { shorts: 1, live: 1, premiere: 1, music: 1 }
+            },
+            rememberVideoSpeed: { type: 'boolean', default: true }, // Reuse the speed last picked for a video on revisit
+            videoMemorySize: { type: 'number', integer: true, min: 10, max: 5000, default: 500 }, // Videos remembered
+            enforceSpeed: { type: 'boolean', default: true }, // Re-apply the speed when YouTube resets it
+            maxEnforcements: { type: 'number', integer: true, min: 1, max: 50, default: 10 }, // Per video
+            enableHotkeys: { type: 'boolean', default: true },
+            speedStep: { type: 'number', min: 0.05, max: 4, default: 0.25 }, // Increment used by the speed up/down hotkeys
+            hotkeys: {
+                type: 'object',
+                properties: {
+                    speedUp: { type: 'string', maxLength: 40 },
+                    speedDown: { type: 'string', maxLength: 40 },
+                    reset: { type: 'string', maxLength: 40 }, // Back to 1x
+                    toggle: { type: 'string', maxLength: 40 } // Switch between 1x and the preferred speed
+                },
+                default: { speedUp: 'Shift+>', speedDown: 'Shift+<', reset: 'Shift+R', toggle: 'Shift+T' }
+            },
+            speedRules: { // Checked in order before the type toggles; the first matching rule decides
+                type: 'array',
+                maxItems: 100,
+                items: {
+                    type: 'object',
+                    properties: {
+                        name: { type: 'string', maxLength: 80, optional: true },
+                        enabled: { type: 'boolean', optional: true },
+                        videoTypes: { type: 'array', optional: true, items: { type: 'string', enum: ['regular', 'shorts', 'live', 'premiere', 'music'] } },
+                        title: { type: 'string', maxLength: 200, optional: true, validate: isValidPattern }, // Case-insensitive regex
+                        minMinutes: { type: 'number', min: 0, optional: true },
+                        maxMinutes: { type: 'number', min: 0, optional: true },
+                        playlist: { type: 'string', maxLength: 64, optional: true }, // The `list` URL parameter
+                        url: { type: 'string', maxLength: 200, optional: true, validate: isValidPattern },
+                        action: { type: 'string', enum: ['speed', 'skip', 'ignore'] },
+                        speed: { type: 'number', min: SPEED_LIMITS.MIN, max: SPEED_LIMITS.MAX, optional: true }
+                    },
+                    validate: rule => rule.action !== 'speed' || rule.speed !== undefined,
+                    invalidReason: 'needs a speed for the "speed" action'
+                },
+                default: []
+            },
+            rampSpeed: { type: 'boolean', default: false }, // Ease up to the speed at the start of each video
+            rampStartSpeed: { type: 'number', min: SPEED_LIMITS.MIN, max: SPEED_LIMITS.MAX, default: 1 },
+            rampDuration: { type: 'number', integer: true, min: 5, max: 600, default: 60 }, // Seconds of media time
+            rampSteps: { type: 'number', integer: true, min: 1, max: 20, default: 4 },
+            chapterRules: { // Chapters whose title matches `pattern` (case-insensitive regex) play at `speed`
+                type: 'array',
+                maxItems: 50,
+                items: {
+                    type: 'object',
+                    properties: {
+                        pattern: { type: 'string', maxLength: 200, validate: pattern => pattern.trim() !== '' && isValidPattern(pattern) },
+                        speed: { type: 'number', min: SPEED_LIMITS.MIN, max: SPEED_LIMITS.MAX }
+                    }
+                },
+                default: []
+            },
+            adaptiveCaptions: { type: 'boolean', default: false }, // Pace the speed by caption density
+            captionTargetWps: { type: 'number', min: 0.5, max: 10, default: 3.5 }, // Reading rate to hold, in words per second
+            captionMinSpeed: { type: 'number', min: SPEED_LIMITS.MIN, max: SPEED_LIMITS.MAX, default: 1 },
+            captionMaxSpeed: { type: 'number', min: SPEED_LIMITS.MIN, max: SPEED_LIMITS.MAX, default: 2.5 },
+            skipSilence: { type: 'boolean', default: false }, // Speed up silent stretches
+            silenceThreshold: { type: 'number', min: -90, max: -10, default: -45 }, // dBFS below which audio counts as silence
+            silenceMinDuration: { type: 'number', integer: true, min: 100, max: 5000, default: 600 }, // ms of silence before speeding up
+            silenceSpeed: { type: 'number', min: 1, max: SPEED_LIMITS.MAX, default: 2.5 },
+            musicThreshold: { type: 'number', integer: true, min: 1, max: 300, default: 60 }, // Score at which a video counts as music
+            musicKeywords: { // Matched case-insensitively against the title
+                type: 'object',
+                properties: {
+                    strong: { type: 'array', maxItems: 100, items: { type: 'string', maxLength: 60, validate: keyword => keyword.trim() !== '' } },
+                    weak: { type: 'array', maxItems: 100, items: { type: 'string', maxLength: 60, validate: keyword => keyword.trim() !== '' } },
+                    negative: { type: 'array', maxItems: 100, items: { type: 'string', maxLength: 60, validate: keyword => keyword.trim() !== '' } } // Count against music
+                },
+                default: {
+                    strong: ['official video', 'official music video', 'music video', 'lyric video', 'official audio', '(audio)', '(lyrics)', 'visualizer'],
+                    weak: ['song', 'album', 'ft.', 'feat.', 'remix', 'cover', 'acoustic'],
+                    negative: ['podcast', 'review', 'reaction', 'interview', 'tutorial', 'explained', 'analysis', 'breakdown', 'documentary', 'episode']
+                }
+            },
+            language: { type: 'string', enum: ['auto', 'en', 'de', 'es', 'ja'], default: 'auto' }, // Menus and notifications; 'auto' follows YouTube
+            debug: { type: 'boolean', default: false }
         },
+        // One entry of `channelRules`, keyed by channel ID or handle
+        CHANNEL_RULE_SCHEMA: {
+            type: 'object',
+            properties: {
+                speed: { type: 'number', min: SPEED_LIMITS.MIN, max: SPEED_LIMITS.MAX },
+                name: { type: 'string', maxLength: 200, optional: true },
+                updatedAt: { type: 'string', maxLength: 40, optional: true, validate: value => !Number.isNaN(Date.parse(value)) } // ISO 8601
+            }
+        },
+        SETTINGS_VERSION: 2,
+        // Applied in order to stored settings older than their `version`
+        SETTINGS_MIGRATIONS: [
+            {
+                version: 1,
+                description: 'Stamp unversioned settings from 3.1.x and earlier',
+                migrate: (settings) => settings
+            },
+            {
+                version: 2,
+                description: 'Replace enableLive with liveMode',
+                migrate: ({ enableLive, ...settings }) => (
+                    enableLive === undefined ? settings : { liveMode: enableLive === true ? 'speed' : 'skip', ...settings }
+                )
+            }
+        ],
         TIMERS: {
             RETRY_DELAY: 300,
             INITIALIZATION_DELAY: 800,
-            SETTINGS_MENU_DELAY: 150, // Used by original menu, less relevant now
-            DEBOUNCE_DELAY: 250
+            DEBOUNCE_DELAY: 250,
+            VIDEO_WAIT_TIMEOUT: 10000, // How long findVideoElement waits for a ready video
+            CLAMP_GUARD_WINDOW: 2000, // How long to watch for YouTube snapping a custom rate back
+            OVERLAY_DURATION: 900,
+            USER_INPUT_WINDOW: 1500, // A rate change this soon after a click or key press in the player is the user's
+            VIDEO_MEMORY_SAVE_DELAY: 1000,
+            RATE_MATCH_WINDOW: 3000, // A rate change this soon after we set the same rate is ours
+            LOAD_SETTLE_WINDOW: 1000, // Rate changes right after a new source loads come from the player
+            SILENCE_SAMPLE_INTERVAL: 50,
+            STATS_SAVE_DELAY: 10000,
+            DIAGNOSTICS_SAVE_DELAY: 5000
         },
-        MAX_RETRIES: 12,
         SCRIPT_NAME: 'YouTube Speed', // GM_info.script.name will be preferred for notifications
-        AVAILABLE_SPEEDS: [0.25, 0.5, 0.75, 1, 1.25, 1.5, 1.75, 2]
+        SPEED_LIMITS,
+        YT_UI_SPEED_LIMITS: { MIN: 0.25, MAX: 2 }, // Range YouTube's own player accepts
+        MAX_CLAMP_REAPPLIES: 3,
+        MAX_STORAGE_BACKUPS: 5,
+        EXPORT_FORMAT: 'ytds-settings',
+        DIAGNOSTICS_FORMAT: 'ytds-diagnostics',
+        API_VERSION: '1.0', // Of window.youtubeSpeedApp and its events; bump the major version on breaking changes
+        EVENT_PREFIX: 'ytds:',
+        CAPTION_WINDOW: 12, // Seconds of media time the words-per-second estimate covers
+        CAPTION_SMOOTHING: 0.25, // Share of the gap to the ideal rate closed on each update
+        CAPTION_MIN_CHANGE: 0.05,
+        LIVE_CATCHUP_HYSTERESIS: 5, // Seconds past liveCatchUpTarget before catching up starts again
+        TIMEUPDATE_MAX_GAP: 5, // Seconds between two timeupdates beyond which the gap is a seek or stall, not playback
+        STATS_MAX_DAYS: 366,
+        STATS_MAX_CHANNELS: 500, // The most recently watched are kept
+        STATS_DASHBOARD_CHANNELS: 20,
+        DIAGNOSTICS_MAX_ENTRIES: 300
     };
 
+    CONFIG.DEFAULT_SETTINGS = Object.freeze(Object.fromEntries(
+        Object.entries(CONFIG.SETTINGS_SCHEMA).map(([key, rule]) => [key, rule.default])
+    ));
+
+    const pageWindow = typeof unsafeWindow !== 'undefined' ? unsafeWindow : window;
+
     // ===============================
     // UTILITY FUNCTIONS
     // ===============================
@@ -67,6 +225,925 @@
         return 0;
     }
 
+    /**
+     * Checks that a speed is a finite number within the range browsers support.
+     * @param {*} speed
+     * @returns {boolean}
+     */
+    function isValidSpeed(speed) {
+        return typeof speed === 'number' && Number.isFinite(speed) &&
+               speed >= CONFIG.SPEED_LIMITS.MIN && speed <= CONFIG.SPEED_LIMITS.MAX;
+    }
+
+    /**
+     * Checks that a rule pattern compiles as a regular expression.
+     * @param {string} pattern
+     * @returns {boolean}
+     */
+    function isValidPattern(pattern) {
+        try {
+            new RegExp(pattern, 'i');
+            return true;
+        } catch (error) {
+            return false;
+        }
+    }
+
+    /**
+     * Parses user input like "1.1", "2.5x" or "1,75" into a speed.
+     * @param {string} input
+     * @returns {number|null} The speed, or null if the input is not a valid speed
+     */
+    function parseSpeed(input) {
+        const cleaned = String(input).trim().replace(/[x×]$/i, '').replace(',', '.');
+        if (!/^\d*\.?\d+$/.test(cleaned)) return null;
+        const speed = Math.round(parseFloat(cleaned) * 10000) / 10000;
+        return isValidSpeed(speed) ? speed : null;
+    }
+
+    /**
+     * Checks a keyboard event against a binding such as "Shift+>" or "Ctrl+Alt+S".
+     * @param {KeyboardEvent} event
+     * @param {string} binding Modifiers and key joined by "+"
+     * @returns {boolean}
+     */
+    function matchesHotkey(event, binding) {
+        if (typeof binding !== 'string' || !binding) return false;
+        const parts = binding.split('+');
+        let key = parts.pop();
+        if (key === '' && parts[parts.length - 1] === '') { // Binding for the "+" key itself, e.g. "Shift++"
+            parts.pop();
+            key = '+';
+        }
+        const modifiers = parts.map(part => part.trim().toLowerCase());
+        if (event.ctrlKey !== modifiers.includes('ctrl') || event.altKey !== modifiers.includes('alt') ||
+            event.shiftKey !== modifiers.includes('shift') || event.metaKey !== modifiers.includes('meta')) {
+            return false;
+        }
+        if (event.key && event.key.toLowerCase() === key.toLowerCase()) return true;
+        // Layout-independent fallback for letters and digits (e.g. Alt+R typing "®" on macOS)
+        return /^[a-z0-9]$/i.test(key) && (event.code === `Key${key.toUpperCase()}` || event.code === `Digit${key}`);
+    }
+
+    /**
+     * Extracts the video ID from watch, Shorts, live and embed URLs.
+     * @param {string} [url] Defaults to the current page
+     * @returns {string|null}
+     */
+    function getVideoIdFromUrl(url = window.location.href) {
+        try {
+            const parsed = new URL(url, window.location.origin);
+            const fromQuery = parsed.searchParams.get('v');
+            if (fromQuery) return fromQuery;
+            const pathMatch = parsed.pathname.match(/^\/(?:shorts|live|embed)\/([\w-]{6,})/);
+            return pathMatch ? pathMatch[1] : null;
+        } catch (error) {
+            return null;
+        }
+    }
+
+    /**
+     * True inside an embedded player (youtube.com/embed/... or youtube-nocookie.com/embed/...),
+     * where none of the watch page's ytd-* elements exist.
+     * @returns {boolean}
+     */
+    function isEmbedPage() {
+        return window.location.pathname.startsWith('/embed/');
+    }
+
+    /**
+     * Returns YouTube's player element if its JS API is available.
+     * @returns {HTMLElement|null}
+     */
+    function getPlayer() {
+        const player = pageWindow.document.getElementById('movie_player');
+        return player && typeof player.getPlayerState === 'function' ? player : null;
+    }
+
+    /**
+     * Builds a DOM element without innerHTML (YouTube enforces Trusted Types).
+     * @param {string} tag
+     * @param {Object} [props] `className`, `textContent`, `onXxx` listeners or plain attributes
+     * @param {Array<Node|string>} [children]
+     * @returns {HTMLElement}
+     */
+    function createElement(tag, props = {}, children = []) {
+        const element = document.createElement(tag);
+        Object.entries(props).forEach(([name, value]) => {
+            if (name === 'className' || name === 'textContent') {
+                element[name] = value;
+            } else if (name.startsWith('on') && typeof value === 'function') {
+                element.addEventListener(name.slice(2).toLowerCase(), value);
+            } else if (value !== false && value !== null && value !== undefined) {
+                element.setAttribute(name, value === true ? '' : value);
+            }
+        });
+        children.forEach(child => element.append(child));
+        return element;
+    }
+
+    /**
+     * Offers a JSON document to the user as a file download.
+     * @param {string} filename
+     * @param {*} data Serialized with JSON.stringify
+     */
+    function downloadJson(filename, data) {
+        const blob = new Blob([JSON.stringify(data, null, 2)], { type: 'application/json' });
+        const url = URL.createObjectURL(blob);
+        const link = createElement('a', { href: url, download: filename });
+        document.body.appendChild(link);
+        link.click();
+        link.remove();
+        setTimeout(() => URL.revokeObjectURL(url), 1000);
+    }
+
+    /**
+     * Lets the user pick a JSON file and reads it as text.
+     * @returns {Promise<string|null>} File contents, or null if nothing was picked
+     */
+    function pickJsonFile() {
+        return new Promise((resolve, reject) => {
+            const input = createElement('input', { type: 'file', accept: 'application/json,.json', style: 'display: none' });
+            input.addEventListener('cancel', () => {
+                input.remove();
+                resolve(null);
+            });
+            input.addEventListener('change', () => {
+                const file = input.files && input.files[0];
+                input.remove();
+                if (!file) {
+                    resolve(null);
+                    return;
+                }
+                file.text().then(resolve, reject);
+            });
+            document.body.appendChild(input);
+            input.click();
+        });
+    }
+
+    /**
+     * Shows a notification through the userscript manager, falling back to alert().
+     * @param {string} text Notification body
+     * @param {string} [title] Title suffix appended to the script name
+     * @param {number} [timeout] Auto-close delay in ms
+     */
+    function notify(text, title = '', timeout = 5000) {
+        const scriptName = (typeof GM_info !== 'undefined' && GM_info.script && GM_info.script.name) || CONFIG.SCRIPT_NAME;
+        if (typeof GM_notification === 'function') {
+            GM_notification({ text, title: title ? `${scriptName} - ${title}` : scriptName, timeout });
+        } else {
+            alert(text);
+        }
+    }
+
+    /**
+     * Makes a value the script hands to page scripts readable by them. In Firefox the userscript
+     * sandbox hides its own objects from the page, so data is cloned into the page, functions are
+     * exported and promises are re-created as page promises. Elsewhere values pass unchanged.
+     * @param {*} value Plain data, a function or a promise of plain data
+     * @returns {*}
+     */
+    function toPage(value) {
+        if (typeof cloneInto !== 'function') return value;
+        if (value instanceof Promise) {
+            return new pageWindow.Promise(exportFunction((resolve, reject) => {
+                value.then(result => resolve(toPage(result)), error => reject(new pageWindow.Error(error.message)));
+            }, pageWindow));
+        }
+        if (typeof value === 'function') return exportFunction(value, pageWindow);
+        return value !== null && typeof value === 'object' ? cloneInto(value, pageWindow) : value;
+    }
+
+    /**
+     * Dispatches a `ytds:<name>` CustomEvent on the document, where other scripts on the page can
+     * listen for it. `detail` must be plain data so it can cross the userscript sandbox.
+     * @param {string} name
+     * @param {Object} detail
+     */
+    function emitEvent(name, detail) {
+        document.dispatchEvent(new CustomEvent(`${CONFIG.EVENT_PREFIX}${name}`, { detail: toPage(detail) }));
+    }
+
+    /**
+     * Strips what identifies a video, channel or playlist from a URL for bug reports: query values,
+     * the fragment and path segments after the first (`/watch?v=*`, `/shorts/*`, `/@*`).
+     * @param {string} url
+     * @returns {string}
+     */
+    function redactUrl(url) {
+        let parsed;
+        try {
+            parsed = new URL(url);
+        } catch (e) {
+            return '<invalid URL>';
+        }
+        if (parsed.protocol === 'blob:') return 'blob:*';
+        const segments = parsed.pathname.split('/').filter(Boolean);
+        const path = segments.map((segment, index) => index === 0 ? segment.replace(/^@.+/, '@*') : '*');
+        const query = [...parsed.searchParams.keys()].map(name => `${name}=*`).join('&');
+        return `${parsed.origin}/${path.join('/')}${query ? `?${query}` : ''}`;
+    }
+
+    /**
+     * Replaces every URL in a text with its redacted form.
+     * @param {string} text
+     * @returns {string}
+     */
+    function redactUrls(text) {
+        return text.replace(/\b(?:https?|blob):[^\s"'<>]+/g, redactUrl);
+    }
+
+    // ===============================
+    // LOCALIZATION
+    // ===============================
+    // Messages for menus, prompts, notifications and the script's dialogs. Plural messages are keyed by Intl.PluralRules
+    // category and pick their form from the `count` parameter; missing messages fall back to English.
+    const MESSAGES = {
+        en: {
+            'speed': '{speed}×',
+            'menu.settings': '⚙️ Settings…',
+            'menu.statistics': '📊 Watch statistics…',
+            'menu.customSpeed': 'Custom speed…',
+            'menu.editFavorites': 'Edit favourite speeds…',
+            'menu.channelRules': '─ Channel Rules ─',
+            'menu.setChannelRule': 'Set current speed as default for this channel',
+            'menu.clearChannelRule': 'Clear rule for this channel',
+            'menu.videoMemory': '─ Video Speed Memory ─',
+            'menu.forgetVideo': 'Forget speed for this video',
+            'menu.clearVideoHistory': 'Clear video speed history',
+            'menu.backup': '─ Backup ─',
+            'menu.export': 'Export settings',
+            'menu.import': 'Import settings…',
+            'menu.updates': '─ Script Updates ─',
+            'menu.checkUpdates': 'Check for Updates',
+            'title.favorites': 'Favourite Speeds',
+            'title.videoMemory': 'Video Speed Memory',
+            'title.channelRule': 'Channel Rule',
+            'title.updateError': 'Update Error',
+            'title.updateAvailable': 'Update Available',
+            'title.upToDate': 'Up to Date',
+            'title.updateFailed': 'Update Check Failed',
+            'prompt.customSpeed': 'Enter a playback speed between {min} and {max}:',
+            'prompt.favorites': 'Favourite speeds shown in the settings panel, separated by spaces:',
+            'prompt.importMode': 'Type "merge" to keep settings and channel rules that are not in the file, or "replace" to reset them to defaults.',
+            'confirm.resetStats': 'Reset all watch statistics? This cannot be undone.',
+            'error.invalidSpeed': '"{input}" is not a valid speed. Enter a number between {min} and {max}.',
+            'error.noFavorites': 'Enter at least one speed.',
+            'error.invalidFavorite': '"{input}" is not a valid speed. Use numbers between {min} and {max}.',
+            'error.tooManyFavorites': 'Keep the list to {count} favourite speeds or fewer.',
+            'error.readFile': 'Could not read the file: {error}',
+            'notice.favorites': 'Favourite speeds: {speeds}.',
+            'notice.noVideo': 'No video on this page.',
+            'notice.videoForgotten': 'Remembered speed for this video forgotten.',
+            'notice.videoNotRemembered': 'No speed remembered for this video.',
+            'notice.historyCleared': { one: 'Forgot the remembered speed for {count} video.', other: 'Forgot remembered speeds for {count} videos.' },
+            'notice.noChannel': 'No channel found on this page. Open a video watch page first.',
+            'notice.channelRuleSet': '{channel} will play at {speed}.',
+            'notice.channelRuleCleared': 'Rule for {channel} cleared.',
+            'notice.channelNoRule': '{channel} has no rule.',
+            'import.failed': 'Import failed:\n{errors}',
+            'import.unchanged': 'Settings imported ({mode}). Nothing changed.',
+            'import.changed': { one: 'Settings imported ({mode}). {count} change:\n{changes}', other: 'Settings imported ({mode}). {count} changes:\n{changes}' },
+            'update.noGmInfo': 'GM_info not available. Update check failed.',
+            'update.noUrl': 'Update URL is missing in script metadata. Cannot check for updates.',
+            'update.available': 'A new version ({version}) of {name} is available.',
+            'update.clickToInstall': 'Click to install.',
+            'update.goToDownload': 'Go to download page?',
+            'update.noDownloadUrl': 'Update available, but no download URL configured.',
+            'update.upToDate': 'Your version of {name} ({version}) is up to date.',
+            'update.noRemoteVersion': 'Could not determine remote version.',
+            'update.fetchError': 'Error fetching update: {status}',
+            'update.networkError': 'Network error during update check. See console.',
+            'panel.title': 'Playback Speed Settings',
+            'panel.button': 'Playback speed settings',
+            'panel.close': 'Close',
+            'section.speed': 'Speed',
+            'section.behavior': 'Behavior',
+            'section.live': 'Live Streams',
+            'section.skipSpeeds': 'Speed for Skipped Videos',
+            'section.captions': 'Caption Pacing',
+            'section.ramp': 'Speed Ramp',
+            'section.silence': 'Silence Skipping',
+            'section.rules': 'Speed Rules',
+            'section.chapters': 'Chapter Speeds',
+            'section.music': 'Music Detection',
+            'section.backup': 'Backup',
+            'section.updates': 'Script Updates',
+            'label.defaultSpeed': 'Default speed',
+            'label.favorites': 'Favourite speeds',
+            'label.speedStep': 'Hotkey step',
+            'label.language': 'Language',
+            'label.liveMode': 'Live streams',
+            'label.musicThreshold': 'Score needed to count as music',
+            'label.backup': 'Settings, channel rules and video speeds',
+            'label.version': 'Version {version}',
+            'label.versionUnknown': 'unknown',
+            'label.speedRules': 'Speed rules (JSON)',
+            'label.chapterRules': 'Chapter speeds, one "pattern = speed" per line',
+            'toggle.enableShorts': 'Apply to Shorts',
+            'toggle.enablePremiere': 'Apply to Premieres',
+            'toggle.enableMusic': 'Apply to Music (on www.youtube.com)',
+            'toggle.enableEmbeds': 'Apply in embedded players',
+            'toggle.carryManualSpeed': 'Keep manual speed for next videos',
+            'toggle.rememberVideoSpeed': 'Remember speed per video',
+            'toggle.enforceSpeed': 'Re-apply speed when YouTube resets it',
+            'toggle.skipSilence': 'Speed up silent parts',
+            'toggle.rampSpeed': 'Ease into the speed at the start',
+            'toggle.adaptiveCaptions': 'Pace the speed by caption density',
+            'toggle.enableHotkeys': 'Keyboard Shortcuts',
+            'toggle.debug': 'Debug Mode',
+            'videoType.shorts': 'Shorts',
+            'videoType.live': 'Live Streams',
+            'videoType.premiere': 'Premieres',
+            'videoType.music': 'Music',
+            'liveMode.skip': 'Skip (normal speed)',
+            'liveMode.speed': 'Apply the speed',
+            'liveMode.catchUp': 'Catch up to live',
+            'language.auto': 'Same as YouTube',
+            'setting.silenceThreshold': 'Silence below (dBFS)',
+            'setting.silenceMinDuration': 'After silence of (ms)',
+            'setting.silenceSpeed': 'Silence speed',
+            'setting.liveCatchUpSpeed': 'Catch-up speed',
+            'setting.liveCatchUpTarget': 'Caught up within (s)',
+            'setting.captionTargetWps': 'Words per second',
+            'setting.captionMinSpeed': 'Slowest speed',
+            'setting.captionMaxSpeed': 'Fastest speed',
+            'setting.rampStartSpeed': 'Start at',
+            'setting.rampDuration': 'Reach the speed after (s)',
+            'setting.rampSteps': 'In steps',
+            'musicKeywords.strong': 'Strong title keywords',
+            'musicKeywords.weak': 'Weak title keywords',
+            'musicKeywords.negative': 'Not-music keywords',
+            'button.saveRules': 'Save rules',
+            'button.saveChapterRules': 'Save chapter speeds',
+            'button.export': 'Export',
+            'button.import': 'Import…',
+            'error.speedRange': 'Speed must be between {min} and {max}.',
+            'error.favoritesFormat': 'Favourite speeds must be numbers between {min} and {max}, separated by spaces.',
+            'error.settingRange': '{label} must be between {min} and {max}.',
+            'error.wholeNumberRange': '{label} must be a whole number between {min} and {max}.',
+            'error.rulesJson': 'Rules are not valid JSON: {error}',
+            'error.rulesInvalid': 'Rules not saved: {reason}.',
+            'error.chapterLine': '"{line}" is not "pattern = speed".',
+            'error.chapterRulesInvalid': 'Chapter speeds not saved: {reason}.',
+            'error.keywords': 'Keywords are separated by commas, up to {count} of them with {length} characters each.',
+            'stats.title': 'Watch Statistics',
+            'stats.since': 'Since {date}',
+            'stats.watched': 'Watched',
+            'stats.took': 'Took',
+            'stats.saved': 'Saved',
+            'stats.averageSpeed': 'Avg. speed',
+            'stats.today': 'Today',
+            'stats.last7Days': 'Last 7 days',
+            'stats.allTime': 'All time',
+            'stats.byChannel': 'By Channel',
+            'stats.channel': 'Channel',
+            'stats.empty': 'Nothing tracked yet.',
+            'stats.data': 'Data',
+            'stats.export': 'Export JSON',
+            'stats.reset': 'Reset',
+            'duration.seconds': '{seconds} s',
+            'duration.minutes': '{minutes} min',
+            'duration.hours': '{hours} h {minutes} min',
+            'menu.troubleshooting': '─ Troubleshooting ─',
+            'menu.copyDiagnostics': 'Copy diagnostics',
+            'title.diagnostics': 'Diagnostics',
+            'notice.diagnosticsCopied': { one: 'Diagnostics with {count} log entry copied. Paste them into your bug report.', other: 'Diagnostics with {count} log entries copied. Paste them into your bug report.' },
+            'notice.diagnosticsDownloaded': 'The clipboard is not available, so the diagnostics were downloaded as a file instead.'
+        },
+        de: {
+            'speed': '{speed}×',
+            'menu.settings': '⚙️ Einstellungen…',
+            'menu.statistics': '📊 Wiedergabestatistik…',
+            'menu.customSpeed': 'Eigene Geschwindigkeit…',
+            'menu.editFavorites': 'Lieblingsgeschwindigkeiten bearbeiten…',
+            'menu.channelRules': '─ Kanalregeln ─',
+            'menu.setChannelRule': 'Aktuelle Geschwindigkeit als Standard für diesen Kanal',
+            'menu.clearChannelRule': 'Regel für diesen Kanal löschen',
+            'menu.videoMemory': '─ Geschwindigkeit pro Video ─',
+            'menu.forgetVideo': 'Geschwindigkeit für dieses Video vergessen',
+            'menu.clearVideoHistory': 'Gespeicherte Videogeschwindigkeiten löschen',
+            'menu.backup': '─ Sicherung ─',
+            'menu.export': 'Einstellungen exportieren',
+            'menu.import': 'Einstellungen importieren…',
+            'menu.updates': '─ Skript-Updates ─',
+            'menu.checkUpdates': 'Nach Updates suchen',
+            'title.favorites': 'Lieblingsgeschwindigkeiten',
+            'title.videoMemory': 'Geschwindigkeit pro Video',
+            'title.channelRule': 'Kanalregel',
+            'title.updateError': 'Update-Fehler',
+            'title.updateAvailable': 'Update verfügbar',
+            'title.upToDate': 'Aktuell',
+            'title.updateFailed': 'Update-Prüfung fehlgeschlagen',
+            'prompt.customSpeed': 'Wiedergabegeschwindigkeit zwischen {min} und {max} eingeben:',
+            'prompt.favorites': 'Lieblingsgeschwindigkeiten für das Einstellungsfenster, durch Leerzeichen getrennt:',
+            'prompt.importMode': '„merge“ eingeben, um Einstellungen und Kanalregeln zu behalten, die nicht in der Datei stehen, oder „replace“, um sie auf die Standardwerte zurückzusetzen.',
+            'confirm.resetStats': 'Alle Wiedergabestatistiken zurücksetzen? Das kann nicht rückgängig gemacht werden.',
+            'error.invalidSpeed': '„{input}“ ist keine gültige Geschwindigkeit. Bitte eine Zahl zwischen {min} und {max} eingeben.',
+            'error.noFavorites': 'Bitte mindestens eine Geschwindigkeit eingeben.',
+            'error.invalidFavorite': '„{input}“ ist keine gültige Geschwindigkeit. Erlaubt sind Zahlen zwischen {min} und {max}.',
+            'error.tooManyFavorites': 'Höchstens {count} Lieblingsgeschwindigkeiten sind möglich.',
+            'error.readFile': 'Die Datei konnte nicht gelesen werden: {error}',
+            'notice.favorites': 'Lieblingsgeschwindigkeiten: {speeds}.',
+            'notice.noVideo': 'Auf dieser Seite ist kein Video.',
+            'notice.videoForgotten': 'Gespeicherte Geschwindigkeit für dieses Video vergessen.',
+            'notice.videoNotRemembered': 'Für dieses Video ist keine Geschwindigkeit gespeichert.',
+            'notice.historyCleared': { one: 'Gespeicherte Geschwindigkeit für {count} Video vergessen.', other: 'Gespeicherte Geschwindigkeiten für {count} Videos vergessen.' },
+            'notice.noChannel': 'Auf dieser Seite wurde kein Kanal gefunden. Bitte zuerst eine Videoseite öffnen.',
+            'notice.channelRuleSet': '{channel} wird mit {speed} abgespielt.',
+            'notice.channelRuleCleared': 'Regel für {channel} gelöscht.',
+            'notice.channelNoRule': '{channel} hat keine Regel.',
+            'import.failed': 'Import fehlgeschlagen:\n{errors}',
+            'import.unchanged': 'Einstellungen importiert ({mode}). Nichts geändert.',
+            'import.changed': { one: 'Einstellungen importiert ({mode}). {count} Änderung:\n{changes}', other: 'Einstellungen importiert ({mode}). {count} Änderungen:\n{changes}' },
+            'update.noGmInfo': 'GM_info ist nicht verfügbar. Update-Prüfung fehlgeschlagen.',
+            'update.noUrl': 'In den Skript-Metadaten fehlt die Update-URL. Updates können nicht geprüft werden.',
+            'update.available': 'Eine neue Version ({version}) von {name} ist verfügbar.',
+            'update.clickToInstall': 'Zum Installieren klicken.',
+            'update.goToDownload': 'Zur Download-Seite wechseln?',
+            'update.noDownloadUrl': 'Ein Update ist verfügbar, aber es ist keine Download-URL angegeben.',
+            'update.upToDate': 'Deine Version von {name} ({version}) ist aktuell.',
+            'update.noRemoteVersion': 'Die neueste Version konnte nicht ermittelt werden.',
+            'update.fetchError': 'Fehler beim Abrufen des Updates: {status}',
+            'update.networkError': 'Netzwerkfehler bei der Update-Prüfung. Details in der Konsole.',
+            'panel.title': 'Einstellungen der Wiedergabegeschwindigkeit',
+            'panel.button': 'Einstellungen der Wiedergabegeschwindigkeit',
+            'panel.close': 'Schließen',
+            'section.speed': 'Geschwindigkeit',
+            'section.behavior': 'Verhalten',
+            'section.live': 'Livestreams',
+            'section.skipSpeeds': 'Geschwindigkeit für übersprungene Videos',
+            'section.captions': 'Tempo nach Untertiteln',
+            'section.ramp': 'Sanfter Start',
+            'section.silence': 'Stille überspringen',
+            'section.rules': 'Geschwindigkeitsregeln',
+            'section.chapters': 'Geschwindigkeit pro Kapitel',
+            'section.music': 'Musikerkennung',
+            'section.backup': 'Sicherung',
+            'section.updates': 'Skript-Updates',
+            'label.defaultSpeed': 'Standardgeschwindigkeit',
+            'label.favorites': 'Lieblingsgeschwindigkeiten',
+            'label.speedStep': 'Schrittweite der Tastenkürzel',
+            'label.language': 'Sprache',
+            'label.liveMode': 'Livestreams',
+            'label.musicThreshold': 'Punktzahl, ab der ein Video als Musik gilt',
+            'label.backup': 'Einstellungen, Kanalregeln und Videogeschwindigkeiten',
+            'label.version': 'Version {version}',
+            'label.versionUnknown': 'unbekannt',
+            'label.speedRules': 'Geschwindigkeitsregeln (JSON)',
+            'label.chapterRules': 'Geschwindigkeit pro Kapitel, ein „Muster = Geschwindigkeit“ pro Zeile',
+            'toggle.enableShorts': 'Bei Shorts anwenden',
+            'toggle.enablePremiere': 'Bei Premieren anwenden',
+            'toggle.enableMusic': 'Bei Musik anwenden (auf www.youtube.com)',
+            'toggle.enableEmbeds': 'In eingebetteten Playern anwenden',
+            'toggle.carryManualSpeed': 'Manuelle Geschwindigkeit für die nächsten Videos behalten',
+            'toggle.rememberVideoSpeed': 'Geschwindigkeit pro Video merken',
+            'toggle.enforceSpeed': 'Geschwindigkeit erneut setzen, wenn YouTube sie zurücksetzt',
+            'toggle.skipSilence': 'Stille Stellen schneller abspielen',
+            'toggle.rampSpeed': 'Am Anfang sanft beschleunigen',
+            'toggle.adaptiveCaptions': 'Geschwindigkeit an die Untertiteldichte anpassen',
+            'toggle.enableHotkeys': 'Tastenkürzel',
+            'toggle.debug': 'Debug-Modus',
+            'videoType.shorts': 'Shorts',
+            'videoType.live': 'Livestreams',
+            'videoType.premiere': 'Premieren',
+            'videoType.music': 'Musik',
+            'liveMode.skip': 'Überspringen (normale Geschwindigkeit)',
+            'liveMode.speed': 'Geschwindigkeit anwenden',
+            'liveMode.catchUp': 'Zur Live-Position aufholen',
+            'language.auto': 'Wie YouTube',
+            'setting.silenceThreshold': 'Stille unter (dBFS)',
+            'setting.silenceMinDuration': 'Nach Stille von (ms)',
+            'setting.silenceSpeed': 'Geschwindigkeit bei Stille',
+            'setting.liveCatchUpSpeed': 'Geschwindigkeit beim Aufholen',
+            'setting.liveCatchUpTarget': 'Aufgeholt bis auf (s)',
+            'setting.captionTargetWps': 'Wörter pro Sekunde',
+            'setting.captionMinSpeed': 'Langsamste Geschwindigkeit',
+            'setting.captionMaxSpeed': 'Schnellste Geschwindigkeit',
+            'setting.rampStartSpeed': 'Beginnen mit',
+            'setting.rampDuration': 'Geschwindigkeit erreicht nach (s)',
+            'setting.rampSteps': 'In Schritten',
+            'musicKeywords.strong': 'Starke Titel-Stichwörter',
+            'musicKeywords.weak': 'Schwache Titel-Stichwörter',
+            'musicKeywords.negative': 'Stichwörter gegen Musik',
+            'button.saveRules': 'Regeln speichern',
+            'button.saveChapterRules': 'Kapitelgeschwindigkeiten speichern',
+            'button.export': 'Exportieren',
+            'button.import': 'Importieren…',
+            'error.speedRange': 'Die Geschwindigkeit muss zwischen {min} und {max} liegen.',
+            'error.favoritesFormat': 'Lieblingsgeschwindigkeiten müssen Zahlen zwischen {min} und {max} sein, durch Leerzeichen getrennt.',
+            'error.settingRange': '{label}: Der Wert muss zwischen {min} und {max} liegen.',
+            'error.wholeNumberRange': '{label}: Der Wert muss eine ganze Zahl zwischen {min} und {max} sein.',
+            'error.rulesJson': 'Die Regeln sind kein gültiges JSON: {error}',
+            'error.rulesInvalid': 'Regeln nicht gespeichert: {reason}.',
+            'error.chapterLine': '„{line}“ hat nicht die Form „Muster = Geschwindigkeit“.',
+            'error.chapterRulesInvalid': 'Kapitelgeschwindigkeiten nicht gespeichert: {reason}.',
+            'error.keywords': 'Stichwörter werden durch Kommas getrennt, höchstens {count} mit je {length} Zeichen.',
+            'stats.title': 'Wiedergabestatistik',
+            'stats.since': 'Seit {date}',
+            'stats.watched': 'Angesehen',
+            'stats.took': 'Gedauert',
+            'stats.saved': 'Gespart',
+            'stats.averageSpeed': 'Ø Geschw.',
+            'stats.today': 'Heute',
+            'stats.last7Days': 'Letzte 7 Tage',
+            'stats.allTime': 'Insgesamt',
+            'stats.byChannel': 'Nach Kanal',
+            'stats.channel': 'Kanal',
+            'stats.empty': 'Noch nichts erfasst.',
+            'stats.data': 'Daten',
+            'stats.export': 'Als JSON exportieren',
+            'stats.reset': 'Zurücksetzen',
+            'duration.seconds': '{seconds} s',
+            'duration.minutes': '{minutes} Min.',
+            'duration.hours': '{hours} Std. {minutes} Min.',
+            'menu.troubleshooting': '─ Fehlersuche ─',
+            'menu.copyDiagnostics': 'Diagnosedaten kopieren',
+            'title.diagnostics': 'Diagnose',
+            'notice.diagnosticsCopied': { one: 'Diagnosedaten mit {count} Protokolleintrag kopiert. Bitte in den Fehlerbericht einfügen.', other: 'Diagnosedaten mit {count} Protokolleinträgen kopiert. Bitte in den Fehlerbericht einfügen.' },
+            'notice.diagnosticsDownloaded': 'Die Zwischenablage ist nicht verfügbar, deshalb wurden die Diagnosedaten als Datei heruntergeladen.'
+        },
+        es: {
+            'speed': '{speed}×',
+            'menu.settings': '⚙️ Configuración…',
+            'menu.statistics': '📊 Estadísticas de reproducción…',
+            'menu.customSpeed': 'Velocidad personalizada…',
+            'menu.editFavorites': 'Editar velocidades favoritas…',
+            'menu.channelRules': '─ Reglas de canal ─',
+            'menu.setChannelRule': 'Usar la velocidad actual en este canal',
+            'menu.clearChannelRule': 'Quitar la regla de este canal',
+            'menu.videoMemory': '─ Velocidad por vídeo ─',
+            'menu.forgetVideo': 'Olvidar la velocidad de este vídeo',
+            'menu.clearVideoHistory': 'Borrar el historial de velocidades',
+            'menu.backup': '─ Copia de seguridad ─',
+            'menu.export': 'Exportar configuración',
+            'menu.import': 'Importar configuración…',
+            'menu.updates': '─ Actualizaciones ─',
+            'menu.checkUpdates': 'Buscar actualizaciones',
+            'title.favorites': 'Velocidades favoritas',
+            'title.videoMemory': 'Velocidad por vídeo',
+            'title.channelRule': 'Regla de canal',
+            'title.updateError': 'Error de actualización',
+            'title.updateAvailable': 'Actualización disponible',
+            'title.upToDate': 'Actualizado',
+            'title.updateFailed': 'Error al buscar actualizaciones',
+            'prompt.customSpeed': 'Introduce una velocidad de reproducción entre {min} y {max}:',
+            'prompt.favorites': 'Velocidades favoritas del panel de ajustes, separadas por espacios:',
+            'prompt.importMode': 'Escribe «merge» para conservar la configuración y las reglas de canal que no estén en el archivo, o «replace» para restablecerlas a los valores predeterminados.',
+            'confirm.resetStats': '¿Restablecer todas las estadísticas de reproducción? No se puede deshacer.',
+            'error.invalidSpeed': '«{input}» no es una velocidad válida. Introduce un número entre {min} y {max}.',
+            'error.noFavorites': 'Introduce al menos una velocidad.',
+            'error.invalidFavorite': '«{input}» no es una velocidad válida. Usa números entre {min} y {max}.',
+            'error.tooManyFavorites': 'Puedes tener como máximo {count} velocidades favoritas.',
+            'error.readFile': 'No se pudo leer el archivo: {error}',
+            'notice.favorites': 'Velocidades favoritas: {speeds}.',
+            'notice.noVideo': 'No hay ningún vídeo en esta página.',
+            'notice.videoForgotten': 'Se olvidó la velocidad guardada de este vídeo.',
+            'notice.videoNotRemembered': 'Este vídeo no tiene ninguna velocidad guardada.',
+            'notice.historyCleared': { one: 'Se olvidó la velocidad guardada de {count} vídeo.', other: 'Se olvidaron las velocidades guardadas de {count} vídeos.' },
+            'notice.noChannel': 'No se encontró ningún canal en esta página. Abre primero la página de un vídeo.',
+            'notice.channelRuleSet': '{channel} se reproducirá a {speed}.',
+            'notice.channelRuleCleared': 'Se quitó la regla de {channel}.',
+            'notice.channelNoRule': '{channel} no tiene ninguna regla.',
+            'import.failed': 'Error al importar:\n{errors}',
+            'import.unchanged': 'Configuración importada ({mode}). No hubo cambios.',
+            'import.changed': { one: 'Configuración importada ({mode}). {count} cambio:\n{changes}', other: 'Configuración importada ({mode}). {count} cambios:\n{changes}' },
+            'update.noGmInfo': 'GM_info no está disponible. No se pudo buscar actualizaciones.',
+            'update.noUrl': 'Falta la URL de actualización en los metadatos del script. No se pueden buscar actualizaciones.',
+            'update.available': 'Hay una nueva versión ({version}) de {name}.',
+            'update.clickToInstall': 'Haz clic para instalarla.',
+            'update.goToDownload': '¿Ir a la página de descarga?',
+            'update.noDownloadUrl': 'Hay una actualización, pero no hay ninguna URL de descarga configurada.',
+            'update.upToDate': 'Tu versión de {name} ({version}) está actualizada.',
+            'update.noRemoteVersion': 'No se pudo determinar la versión publicada.',
+            'update.fetchError': 'Error al descargar la actualización: {status}',
+            'update.networkError': 'Error de red al buscar actualizaciones. Consulta la consola.',
+            'panel.title': 'Ajustes de velocidad de reproducción',
+            'panel.button': 'Ajustes de velocidad de reproducción',
+            'panel.close': 'Cerrar',
+            'section.speed': 'Velocidad',
+            'section.behavior': 'Comportamiento',
+            'section.live': 'Directos',
+            'section.skipSpeeds': 'Velocidad de los vídeos omitidos',
+            'section.captions': 'Ritmo según subtítulos',
+            'section.ramp': 'Aceleración gradual',
+            'section.silence': 'Saltar silencios',
+            'section.rules': 'Reglas de velocidad',
+            'section.chapters': 'Velocidad por capítulo',
+            'section.music': 'Detección de música',
+            'section.backup': 'Copia de seguridad',
+            'section.updates': 'Actualizaciones',
+            'label.defaultSpeed': 'Velocidad predeterminada',
+            'label.favorites': 'Velocidades favoritas',
+            'label.speedStep': 'Paso de los atajos',
+            'label.language': 'Idioma',
+            'label.liveMode': 'Directos',
+            'label.musicThreshold': 'Puntuación para contar como música',
+            'label.backup': 'Configuración, reglas de canal y velocidades de vídeos',
+            'label.version': 'Versión {version}',
+            'label.versionUnknown': 'desconocida',
+            'label.speedRules': 'Reglas de velocidad (JSON)',
+            'label.chapterRules': 'Velocidad por capítulo, un «patrón = velocidad» por línea',
+            'toggle.enableShorts': 'Aplicar a los Shorts',
+            'toggle.enablePremiere': 'Aplicar a los estrenos',
+            'toggle.enableMusic': 'Aplicar a la música (en www.youtube.com)',
+            'toggle.enableEmbeds': 'Aplicar en reproductores insertados',
+            'toggle.carryManualSpeed': 'Mantener la velocidad manual en los siguientes vídeos',
+            'toggle.rememberVideoSpeed': 'Recordar la velocidad de cada vídeo',
+            'toggle.enforceSpeed': 'Volver a aplicar la velocidad si YouTube la restablece',
+            'toggle.skipSilence': 'Acelerar las partes en silencio',
+            'toggle.rampSpeed': 'Acelerar poco a poco al empezar',
+            'toggle.adaptiveCaptions': 'Ajustar la velocidad a la densidad de subtítulos',
+            'toggle.enableHotkeys': 'Atajos de teclado',
+            'toggle.debug': 'Modo de depuración',
+            'videoType.shorts': 'Shorts',
+            'videoType.live': 'Directos',
+            'videoType.premiere': 'Estrenos',
+            'videoType.music': 'Música',
+            'liveMode.skip': 'Omitir (velocidad normal)',
+            'liveMode.speed': 'Aplicar la velocidad',
+            'liveMode.catchUp': 'Alcanzar el directo',
+            'language.auto': 'Igual que YouTube',
+            'setting.silenceThreshold': 'Silencio por debajo de (dBFS)',
+            'setting.silenceMinDuration': 'Tras un silencio de (ms)',
+            'setting.silenceSpeed': 'Velocidad en silencio',
+            'setting.liveCatchUpSpeed': 'Velocidad para alcanzar el directo',
+            'setting.liveCatchUpTarget': 'Alcanzado a menos de (s)',
+            'setting.captionTargetWps': 'Palabras por segundo',
+            'setting.captionMinSpeed': 'Velocidad mínima',
+            'setting.captionMaxSpeed': 'Velocidad máxima',
+            'setting.rampStartSpeed': 'Empezar a',
+            'setting.rampDuration': 'Llegar a la velocidad tras (s)',
+            'setting.rampSteps': 'En pasos',
+            'musicKeywords.strong': 'Palabras clave fuertes del título',
+            'musicKeywords.weak': 'Palabras clave débiles del título',
+            'musicKeywords.negative': 'Palabras clave de no música',
+            'button.saveRules': 'Guardar reglas',
+            'button.saveChapterRules': 'Guardar velocidades por capítulo',
+            'button.export': 'Exportar',
+            'button.import': 'Importar…',
+            'error.speedRange': 'La velocidad debe estar entre {min} y {max}.',
+            'error.favoritesFormat': 'Las velocidades favoritas deben ser números entre {min} y {max}, separados por espacios.',
+            'error.settingRange': '{label}: el valor debe estar entre {min} y {max}.',
+            'error.wholeNumberRange': '{label}: el valor debe ser un número entero entre {min} y {max}.',
+            'error.rulesJson': 'Las reglas no son JSON válido: {error}',
+            'error.rulesInvalid': 'No se guardaron las reglas: {reason}.',
+            'error.chapterLine': '«{line}» no tiene la forma «patrón = velocidad».',
+            'error.chapterRulesInvalid': 'No se guardaron las velocidades por capítulo: {reason}.',
+            'error.keywords': 'Las palabras clave se separan por comas, hasta {count} de {length} caracteres cada una.',
+            'stats.title': 'Estadísticas de reproducción',
+            'stats.since': 'Desde el {date}',
+            'stats.watched': 'Visto',
+            'stats.took': 'Duró',
+            'stats.saved': 'Ahorrado',
+            'stats.averageSpeed': 'Vel. media',
+            'stats.today': 'Hoy',
+            'stats.last7Days': 'Últimos 7 días',
+            'stats.allTime': 'Total',
+            'stats.byChannel': 'Por canal',
+            'stats.channel': 'Canal',
+            'stats.empty': 'Todavía no hay datos.',
+            'stats.data': 'Datos',
+            'stats.export': 'Exportar JSON',
+            'stats.reset': 'Restablecer',
+            'duration.seconds': '{seconds} s',
+            'duration.minutes': '{minutes} min',
+            'duration.hours': '{hours} h {minutes} min',
+            'menu.troubleshooting': '─ Solución de problemas ─',
+            'menu.copyDiagnostics': 'Copiar diagnóstico',
+            'title.diagnostics': 'Diagnóstico',
+            'notice.diagnosticsCopied': { one: 'Se copió el diagnóstico con {count} entrada de registro. Pégalo en tu informe de error.', other: 'Se copió el diagnóstico con {count} entradas de registro. Pégalo en tu informe de error.' },
+            'notice.diagnosticsDownloaded': 'El portapapeles no está disponible, así que el diagnóstico se descargó como archivo.'
+        },
+        ja: {
+            'speed': '{speed}倍',
+            'menu.settings': '⚙️ 設定…',
+            'menu.statistics': '📊 視聴統計…',
+            'menu.customSpeed': 'カスタム速度…',
+            'menu.editFavorites': 'お気に入りの速度を編集…',
+            'menu.channelRules': '─ チャンネルのルール ─',
+            'menu.setChannelRule': '現在の速度をこのチャンネルの既定にする',
+            'menu.clearChannelRule': 'このチャンネルのルールを削除',
+            'menu.videoMemory': '─ 動画ごとの速度 ─',
+            'menu.forgetVideo': 'この動画の速度を忘れる',
+            'menu.clearVideoHistory': '動画の速度履歴を消去',
+            'menu.backup': '─ バックアップ ─',
+            'menu.export': '設定をエクスポート',
+            'menu.import': '設定をインポート…',
+            'menu.updates': '─ スクリプトの更新 ─',
+            'menu.checkUpdates': '更新を確認',
+            'title.favorites': 'お気に入りの速度',
+            'title.videoMemory': '動画ごとの速度',
+            'title.channelRule': 'チャンネルのルール',
+            'title.updateError': '更新エラー',
+            'title.updateAvailable': '更新があります',
+            'title.upToDate': '最新版です',
+            'title.updateFailed': '更新を確認できませんでした',
+            'prompt.customSpeed': '{min}から{max}までの再生速度を入力してください:',
+            'prompt.favorites': '設定パネルに表示するお気に入りの速度(スペース区切り):',
+            'prompt.importMode': 'ファイルにない設定とチャンネルのルールを残すには「merge」、既定値に戻すには「replace」と入力してください。',
+            'confirm.resetStats': 'すべての視聴統計をリセットしますか?元に戻すことはできません。',
+            'error.invalidSpeed': '「{input}」は有効な速度ではありません。{min}から{max}までの数値を入力してください。',
+            'error.noFavorites': '速度を1つ以上入力してください。',
+            'error.invalidFavorite': '「{input}」は有効な速度ではありません。{min}から{max}までの数値を使ってください。',
+            'error.tooManyFavorites': 'お気に入りの速度は{count}個までです。',
+            'error.readFile': 'ファイルを読み込めませんでした: {error}',
+            'notice.favorites': 'お気に入りの速度: {speeds}',
+            'notice.noVideo': 'このページには動画がありません。',
+            'notice.videoForgotten': 'この動画の速度を忘れました。',
+            'notice.videoNotRemembered': 'この動画の速度は記憶されていません。',
+            'notice.historyCleared': { other: '{count}本の動画の速度を忘れました。' },
+            'notice.noChannel': 'このページにチャンネルが見つかりません。先に動画の再生ページを開いてください。',
+            'notice.channelRuleSet': '{channel}は{speed}で再生されます。',
+            'notice.channelRuleCleared': '{channel}のルールを削除しました。',
+            'notice.channelNoRule': '{channel}にはルールがありません。',
+            'import.failed': 'インポートに失敗しました:\n{errors}',
+            'import.unchanged': '設定をインポートしました({mode})。変更はありません。',
+            'import.changed': { other: '設定をインポートしました({mode})。{count}件の変更:\n{changes}' },
+            'update.noGmInfo': 'GM_infoを利用できないため、更新を確認できませんでした。',
+            'update.noUrl': 'スクリプトのメタデータに更新URLがないため、更新を確認できません。',
+            'update.available': '{name}の新しいバージョン({version})があります。',
+            'update.clickToInstall': 'クリックしてインストールします。',
+            'update.goToDownload': 'ダウンロードページを開きますか?',
+            'update.noDownloadUrl': '更新がありますが、ダウンロードURLが設定されていません。',
+            'update.upToDate': 'お使いの{name}({version})は最新です。',
+            'update.noRemoteVersion': '公開中のバージョンを判別できませんでした。',
+            'update.fetchError': '更新の取得中にエラーが発生しました: {status}',
+            'update.networkError': '更新の確認中にネットワークエラーが発生しました。詳しくはコンソールを確認してください。',
+            'panel.title': '再生速度の設定',
+            'panel.button': '再生速度の設定',
+            'panel.close': '閉じる',
+            'section.speed': '速度',
+            'section.behavior': '動作',
+            'section.live': 'ライブ配信',
+            'section.skipSpeeds': '対象外の動画の速度',
+            'section.captions': '字幕に合わせた速度',
+            'section.ramp': '速度の段階的な上昇',
+            'section.silence': '無音部分のスキップ',
+            'section.rules': '速度のルール',
+            'section.chapters': 'チャプターごとの速度',
+            'section.music': '音楽の判定',
+            'section.backup': 'バックアップ',
+            'section.updates': 'スクリプトの更新',
+            'label.defaultSpeed': '既定の速度',
+            'label.favorites': 'お気に入りの速度',
+            'label.speedStep': 'ショートカットの変化量',
+            'label.language': '言語',
+            'label.liveMode': 'ライブ配信',
+            'label.musicThreshold': '音楽と判定するスコア',
+            'label.backup': '設定、チャンネルのルール、動画ごとの速度',
+            'label.version': 'バージョン {version}',
+            'label.versionUnknown': '不明',
+            'label.speedRules': '速度のルール (JSON)',
+            'label.chapterRules': 'チャプターごとの速度(1行に「パターン = 速度」を1つ)',
+            'toggle.enableShorts': 'ショートに適用',
+            'toggle.enablePremiere': 'プレミア公開に適用',
+            'toggle.enableMusic': '音楽に適用 (www.youtube.com)',
+            'toggle.enableEmbeds': '埋め込みプレーヤーに適用',
+            'toggle.carryManualSpeed': '手動で選んだ速度を次の動画でも使う',
+            'toggle.rememberVideoSpeed': '動画ごとの速度を記憶',
+            'toggle.enforceSpeed': 'YouTubeが速度を戻したら再適用',
+            'toggle.skipSilence': '無音部分を速く再生',
+            'toggle.rampSpeed': '再生開始時に徐々に速度を上げる',
+            'toggle.adaptiveCaptions': '字幕の量に合わせて速度を調整',
+            'toggle.enableHotkeys': 'キーボードショートカット',
+            'toggle.debug': 'デバッグモード',
+            'videoType.shorts': 'ショート',
+            'videoType.live': 'ライブ配信',
+            'videoType.premiere': 'プレミア公開',
+            'videoType.music': '音楽',
+            'liveMode.skip': '対象外 (通常の速度)',
+            'liveMode.speed': '速度を適用',
+            'liveMode.catchUp': 'ライブに追いつく',
+            'language.auto': 'YouTubeと同じ',
+            'setting.silenceThreshold': '無音とみなす音量 (dBFS)',
+            'setting.silenceMinDuration': '無音が続く時間 (ms)',
+            'setting.silenceSpeed': '無音部分の速度',
+            'setting.liveCatchUpSpeed': '追いつくときの速度',
+            'setting.liveCatchUpTarget': '追いついたとみなす遅れ (秒)',
+            'setting.captionTargetWps': '1秒あたりの単語数',
+            'setting.captionMinSpeed': '最低速度',
+            'setting.captionMaxSpeed': '最高速度',
+            'setting.rampStartSpeed': '開始時の速度',
+            'setting.rampDuration': '目標速度に達するまで (秒)',
+            'setting.rampSteps': '段階数',
+            'musicKeywords.strong': 'タイトルの強いキーワード',
+            'musicKeywords.weak': 'タイトルの弱いキーワード',
+            'musicKeywords.negative': '音楽ではないキーワード',
+            'button.saveRules': 'ルールを保存',
+            'button.saveChapterRules': 'チャプターの速度を保存',
+            'button.export': 'エクスポート',
+            'button.import': 'インポート…',
+            'error.speedRange': '速度は{min}から{max}までにしてください。',
+            'error.favoritesFormat': 'お気に入りの速度は{min}から{max}までの数値をスペース区切りで入力してください。',
+            'error.settingRange': '{label}は{min}から{max}までにしてください。',
+            'error.wholeNumberRange': '{label}は{min}から{max}までの整数にしてください。',
+            'error.rulesJson': 'ルールが正しいJSONではありません: {error}',
+            'error.rulesInvalid': 'ルールを保存できませんでした: {reason}',
+            'error.chapterLine': '「{line}」は「パターン = 速度」の形式ではありません。',
+            'error.chapterRulesInvalid': 'チャプターの速度を保存できませんでした: {reason}',
+            'error.keywords': 'キーワードはカンマ区切りで、{count}個まで、それぞれ{length}文字までです。',
+            'stats.title': '視聴統計',
+            'stats.since': '{date}以降',
+            'stats.watched': '視聴した長さ',
+            'stats.took': 'かかった時間',
+            'stats.saved': '節約',
+            'stats.averageSpeed': '平均速度',
+            'stats.today': '今日',
+            'stats.last7Days': '過去7日間',
+            'stats.allTime': '全期間',
+            'stats.byChannel': 'チャンネル別',
+            'stats.channel': 'チャンネル',
+            'stats.empty': 'まだ記録がありません。',
+            'stats.data': 'データ',
+            'stats.export': 'JSONをエクスポート',
+            'stats.reset': 'リセット',
+            'duration.seconds': '{seconds}秒',
+            'duration.minutes': '{minutes}分',
+            'duration.hours': '{hours}時間{minutes}分',
+            'menu.troubleshooting': '─ トラブルシューティング ─',
+            'menu.copyDiagnostics': '診断情報をコピー',
+            'title.diagnostics': '診断情報',
+            'notice.diagnosticsCopied': { other: '{count}件のログを含む診断情報をコピーしました。バグ報告に貼り付けてください。' },
+            'notice.diagnosticsDownloaded': 'クリップボードを使えないため、診断情報をファイルとしてダウンロードしました。'
+        }
+    };
+
+    const LANGUAGE_NAMES = { en: 'English', de: 'Deutsch', es: 'Español', ja: '日本語' };
+
+    let activeLocale = 'en'; // BCP 47 tag; its language subtag selects the catalog, the rest affects number formatting
+
+    /**
+     * @param {string|null|undefined} tag
+     * @returns {boolean} Whether the tag's language has a message catalog
+     */
+    function isSupportedLocale(tag) {
+        return typeof tag === 'string' && MESSAGES.hasOwnProperty(tag.split(/[-_]/)[0].toLowerCase());
+    }
+
+    /**
+     * Picks the locale YouTube shows the page in (`hl`), falling back to the browser's languages.
+     * @returns {string}
+     */
+    function detectLocale() {
+        let youtubeLocale = null;
+        try {
+            youtubeLocale = pageWindow.ytcfg && typeof pageWindow.ytcfg.get === 'function' ? pageWindow.ytcfg.get('HL') : null;
+        } catch (e) { /* ytcfg not ready */ }
+        const candidates = [
+            new URLSearchParams(window.location.search).get('hl'),
+            youtubeLocale,
+            document.documentElement.lang,
+            ...(navigator.languages || [navigator.language])
+        ];
+        const locale = candidates.find(isSupportedLocale);
+        return locale ? locale.replace('_', '-') : 'en';
+    }
+
+    /**
+     * Sets the locale for messages and number formatting.
+     * @param {string} language 'auto' or a language with a message catalog
+     */
+    function setLanguage(language) {
+        activeLocale = language === 'auto' || !isSupportedLocale(language) ? detectLocale() : language;
+    }
+
+    /**
+     * Looks up a message in the active locale and fills in `{name}` placeholders.
+     * @param {string} key
+     * @param {Object} [params] Placeholder values; `count` also selects the plural form
+     * @returns {string}
+     */
+    function t(key, params = {}) {
+        const language = activeLocale.split('-')[0].toLowerCase();
+        let message = MESSAGES[language][key] !== undefined ? MESSAGES[language][key] : MESSAGES.en[key];
+        if (message === undefined) return key;
+        if (typeof message === 'object') {
+            const category = new Intl.PluralRules(activeLocale).select(params.count);
+            message = message[category] !== undefined ? message[category] : message.other;
+        }
+        return message.replace(/\{(\w+)\}/g, (match, name) => params.hasOwnProperty(name) ? String(params[name]) : match);
+    }
+
+    /**
+     * Formats a number with the active locale's decimal separator.
+     * @param {number} value
+     * @returns {string}
+     */
+    function formatNumber(value) {
+        return new Intl.NumberFormat(activeLocale, { maximumFractionDigits: 4 }).format(value);
+    }
+
+    /**
+     * Formats a speed for display, e.g. "1.25×" or "1,25×" in German.
+     * @param {number} speed
+     * @returns {string}
+     */
+    function formatSpeed(speed) {
+        return t('speed', { speed: formatNumber(speed) });
+    }
+
     // ===============================
     // UTILITY CLASSES
     // ===============================
@@ -74,12 +1151,21 @@
         constructor(name, enabled = false) {
             this.name = name;
             this.enabled = enabled;
+            this.diagnostics = null; // DiagnosticsLog that keeps log, warn and error messages, even with debug off
         }
 
         setEnabled(enabled) {
             this.enabled = enabled;
         }
 
+        setDiagnostics(diagnostics) {
+            this.diagnostics = diagnostics;
+        }
+
+        _record(type, message) {
+            if (this.diagnostics) this.diagnostics.record(type, message);
+        }
+
         _formatMessage(message) {
              const scriptName = (typeof GM_info !== 'undefined' && GM_info.script) ? GM_info.script.name : this.name;
             const timestamp = new Date().toTimeString().split(' ')[0];
@@ -87,20 +1173,23 @@
         }
 
         log(message) { // General purpose log
+            this._record('log', message);
             if (!this.enabled && !CONFIG.DEFAULT_SETTINGS.debug) return;
             console.log(this._formatMessage(message));
         }
 
         error(message) { // Errors should always be logged
+            this._record('error', message);
             console.error(this._formatMessage(`ERROR: ${message}`));
         }
 
         warn(message) {
+            this._record('warn', message);
             if (!this.enabled && !CONFIG.DEFAULT_SETTINGS.debug) return;
             console.warn(this._formatMessage(`WARN: ${message}`));
         }
 
-        debug(message) { // Specific debug messages
+        debug(message) { // Specific debug messages, too many to keep for diagnostics
             if (!this.enabled) return;
             console.debug(this._formatMessage(`DEBUG: ${message}`));
         }
@@ -127,7 +1216,7 @@
             clearTimeout(id);
             this.timers.delete(id);
         }
-        clearInterval(id) { // Though not used, good to have
+        clearInterval(id) {
             clearInterval(id);
             this.timers.delete(id);
         }
@@ -159,129 +1248,645 @@
         }
     }
 
+    /**
+     * Map with a size limit that evicts the least recently used entry.
+     */
+    class LRUCache {
+        constructor(maxSize) {
+            this.maxSize = maxSize;
+            this.map = new Map(); // Insertion order doubles as recency order, oldest first
+        }
+        get size() {
+            return this.map.size;
+        }
+        has(key) {
+            return this.map.has(key);
+        }
+        get(key) { // Marks the entry as recently used
+            if (!this.map.has(key)) return undefined;
+            const value = this.map.get(key);
+            this.map.delete(key);
+            this.map.set(key, value);
+            return value;
+        }
+        peek(key) {
+            return this.map.get(key);
+        }
+        set(key, value) {
+            this.map.delete(key);
+            this.map.set(key, value);
+            this._evict();
+        }
+        delete(key) {
+            return this.map.delete(key);
+        }
+        clear() {
+            this.map.clear();
+        }
+        setMaxSize(maxSize) {
+            this.maxSize = maxSize;
+            this._evict();
+        }
+        entries() { // Oldest first
+            return [...this.map.entries()];
+        }
+        _evict() {
+            while (this.map.size > this.maxSize) {
+                this.map.delete(this.map.keys().next().value);
+            }
+        }
+    }
+
     // ===============================
     // STORAGE MANAGEMENT
     // ===============================
     class SettingsManager {
         constructor(logger) {
             this.logger = logger;
-            this.settings = { ...CONFIG.DEFAULT_SETTINGS };
+            this.settings = this._defaults();
+            this.channelRules = {}; // channelKey -> { speed, name, updatedAt }
+            this.videoSpeeds = new LRUCache(CONFIG.DEFAULT_SETTINGS.videoMemorySize); // videoId -> { speed, updatedAt }
             this.useCompatibilityMode = typeof GM === 'undefined' || typeof GM.getValue === 'undefined';
         }
 
-        async loadSettings() {
+        _defaults() {
+            return JSON.parse(JSON.stringify(CONFIG.DEFAULT_SETTINGS)); // Deep copy, defaults hold arrays/objects
+        }
+
+        async _getValue(key, defaultValue) {
+            const getValue = this.useCompatibilityMode ? GM_getValue : GM.getValue;
+            return getValue(key, defaultValue);
+        }
+
+        async _setValue(key, value) {
+            const setValue = this.useCompatibilityMode ? GM_setValue : GM.setValue;
+            return setValue(key, value);
+        }
+
+        /**
+         * Reads a JSON value from storage. Unparseable data is copied to `<key>Backup` instead of being lost.
+         * @returns {Promise<*>} The parsed value, or `fallback` if nothing usable is stored
+         */
+        async _readJson(key, fallback) {
+            const raw = await this._getValue(key, null);
+            if (raw === null || raw === undefined) return fallback;
             try {
-                const getValue = this.useCompatibilityMode ? GM_getValue : GM.getValue;
-                const storedSettings = await getValue('speedSettings', JSON.stringify(CONFIG.DEFAULT_SETTINGS));
-                const parsed = JSON.parse(storedSettings);
+                return typeof raw === 'string' ? JSON.parse(raw) : raw;
+            } catch (error) {
+                this.logger.error(`Stored ${key} is not valid JSON (${error.message}). Backing it up and using defaults.`);
+                await this._backupRawValue(key, raw, error.message);
+                return fallback;
+            }
+        }
 
-                this.settings = { ...CONFIG.DEFAULT_SETTINGS, ...parsed };
+        async _backupRawValue(key, raw, reason) {
+            try {
+                const backupKey = `${key}Backup`;
+                let backups = [];
+                try {
+                    backups = JSON.parse(await this._getValue(backupKey, '[]'));
+                } catch (error) {
+                    backups = []; // A broken backup list is not worth keeping
+                }
+                if (!Array.isArray(backups)) backups = [];
+                backups.push({ savedAt: new Date().toISOString(), reason, raw: String(raw) });
+                await this._setValue(backupKey, JSON.stringify(backups.slice(-CONFIG.MAX_STORAGE_BACKUPS)));
+                this.logger.warn(`Previous ${key} value saved to '${backupKey}'.`);
+            } catch (error) {
+                this.logger.error(`Failed to back up ${key}: ${error.message}`);
+            }
+        }
 
-                if (!CONFIG.AVAILABLE_SPEEDS.includes(this.settings.speed)) {
-                    this.logger.warn(`Invalid speed ${this.settings.speed} in settings, reverting to default ${CONFIG.DEFAULT_SETTINGS.speed}.`);
-                    this.settings.speed = CONFIG.DEFAULT_SETTINGS.speed;
+        /**
+         * Checks a value against a schema rule.
+         * @returns {{valid: boolean, value?: *, reason?: string}} `value` is a normalized copy when valid
+         */
+        _validate(rule, value, path) {
+            switch (rule.type) {
+                case 'boolean':
+                    return typeof value === 'boolean' ? { valid: true, value } : { valid: false, reason: `${path} must be true or false` };
+                case 'number':
+                    if (typeof value !== 'number' || !Number.isFinite(value)) return { valid: false, reason: `${path} must be a number` };
+                    if ((rule.min !== undefined && value < rule.min) || (rule.max !== undefined && value > rule.max)) {
+                        return { valid: false, reason: `${path} must be between ${rule.min} and ${rule.max}` };
+                    }
+                    if (rule.integer && !Number.isInteger(value)) return { valid: false, reason: `${path} must be a whole number` };
+                    return { valid: true, value };
+                case 'string':
+                    if (typeof value !== 'string') return { valid: false, reason: `${path} must be text` };
+                    if (rule.enum && !rule.enum.includes(value)) return { valid: false, reason: `${path} must be one of ${rule.enum.join(', ')}` };
+                    if (rule.maxLength !== undefined && value.length > rule.maxLength) return { valid: false, reason: `${path} is longer than ${rule.maxLength} characters` };
+                    if (rule.validate && !rule.validate(value)) return { valid: false, reason: `${path} is not valid` };
+                    return { valid: true, value };
+                case 'array': {
+                    if (!Array.isArray(value)) return { valid: false, reason: `${path} must be a list` };
+                    if ((rule.minItems !== undefined && value.length < rule.minItems) || (rule.maxItems !== undefined && value.length > rule.maxItems)) {
+                        return { valid: false, reason: `${path} must have between ${rule.minItems || 0} and ${rule.maxItems} entries` };
+                    }
+                    const items = [];
+                    for (let i = 0; i < value.length; i++) {
+                        const result = this._validate(rule.items, value[i], `${path}[${i}]`);
+                        if (!result.valid) return result;
+                        items.push(result.value);
+                    }
+                    return { valid: true, value: items };
                 }
-                // Ensure boolean values for toggles
-                ['enableShorts', 'enableLive', 'enablePremiere', 'enableMusic', 'debug'].forEach(key => {
-                    if (typeof this.settings[key] !== 'boolean') {
-                        this.logger.warn(`Invalid type for setting ${key}, reverting to default.`);
-                        this.settings[key] = CONFIG.DEFAULT_SETTINGS[key];
+                case 'object': {
+                    if (!value || typeof value !== 'object' || Array.isArray(value)) return { valid: false, reason: `${path} must be an object` };
+                    const unknownKey = Object.keys(value).find(name => !rule.properties.hasOwnProperty(name));
+                    if (unknownKey) return { valid: false, reason: `${path}.${unknownKey} is not a known property` };
+                    const result = {};
+                    for (const [name, propertyRule] of Object.entries(rule.properties)) {
+                        if (!value.hasOwnProperty(name)) {
+                            if (propertyRule.optional) continue;
+                            if (rule.default && rule.default.hasOwnProperty(name)) {
+                                result[name] = rule.default[name]; // Fill properties added in later versions
+                                continue;
+                            }
+                            return { valid: false, reason: `${path}.${name} is missing` };
+                        }
+                        const propertyResult = this._validate(propertyRule, value[name], `${path}.${name}`);
+                        if (!propertyResult.valid) return propertyResult;
+                        result[name] = propertyResult.value;
                     }
+                    if (rule.validate && !rule.validate(result)) return { valid: false, reason: `${path} ${rule.invalidReason || 'is not valid'}` };
+                    return { valid: true, value: result };
+                }
+                default:
+                    return { valid: false, reason: `${path} has unsupported type ${rule.type}` };
+            }
+        }
+
+        /**
+         * Validates a value for a setting without changing anything.
+         * @returns {{valid: boolean, value?: *, reason?: string}}
+         */
+        validateSetting(key, value) {
+            if (!CONFIG.SETTINGS_SCHEMA.hasOwnProperty(key)) return { valid: false, reason: `${key} is not a known setting` };
+            return this._validate(CONFIG.SETTINGS_SCHEMA[key], value, key);
+        }
+
+        _migrate(stored) {
+            const storedVersion = Number.isInteger(stored.schemaVersion) ? stored.schemaVersion : 0;
+            let migrated = { ...stored };
+            delete migrated.schemaVersion;
+            CONFIG.SETTINGS_MIGRATIONS
+                .filter(migration => migration.version > storedVersion)
+                .forEach(migration => {
+                    migrated = migration.migrate(migrated);
+                    this.logger.log(`Settings migrated to schema v${migration.version}: ${migration.description}.`);
                 });
+            return migrated;
+        }
+
+        /**
+         * Migrates stored or imported settings and validates each key that is present.
+         * @returns {{values: Object, problems: string[]}} `values` holds only the valid keys
+         */
+        _validateStoredSettings(stored) {
+            const migrated = this._migrate(stored);
+            const values = {};
+            const problems = [];
+            Object.keys(migrated).forEach(key => {
+                const result = this.validateSetting(key, migrated[key]);
+                if (result.valid) {
+                    values[key] = result.value;
+                } else {
+                    problems.push(result.reason);
+                }
+            });
+            return { values, problems };
+        }
+
+        /**
+         * Turns stored or imported settings into a complete, valid settings object.
+         * Invalid values fall back to their defaults and unknown keys are dropped.
+         * @returns {{settings: Object, problems: string[]}}
+         */
+        normalizeSettings(stored) {
+            const { values, problems } = this._validateStoredSettings(stored);
+            return { settings: { ...this._defaults(), ...values }, problems };
+        }
+
+        async loadSettings() {
+            await this.loadChannelRules();
+            await this.loadVideoSpeeds();
+            try {
+                const stored = await this._readJson('speedSettings', null);
+                if (stored === null) {
+                    this.settings = this._defaults();
+                } else if (typeof stored !== 'object' || Array.isArray(stored)) {
+                    this.logger.error('Stored settings are not an object. Backing them up and using defaults.');
+                    await this._backupRawValue('speedSettings', JSON.stringify(stored), 'Not an object');
+                    this.settings = this._defaults();
+                } else {
+                    if (stored.schemaVersion > CONFIG.SETTINGS_VERSION) {
+                        // Written by a newer version of the script; keep a copy before dropping what we don't know
+                        this.logger.warn(`Settings schema v${stored.schemaVersion} is newer than supported v${CONFIG.SETTINGS_VERSION}.`);
+                        await this._backupRawValue('speedSettings', JSON.stringify(stored), `Newer schema v${stored.schemaVersion}`);
+                    }
+                    const { settings, problems } = this.normalizeSettings(stored);
+                    problems.forEach(problem => this.logger.warn(`Ignoring stored setting: ${problem}. Using default.`));
+                    this.settings = settings;
+                }
 
                 this.logger.debug(`Settings loaded: ${JSON.stringify(this.settings)}`);
-                // It's good practice to save after load if validation/migration might change settings
+                // Persist migrations and repairs so they only happen once
                 await this.saveSettings();
                 return this.settings;
             } catch (error) {
                 this.logger.error(`Failed to load settings: ${error.message}. Using default settings.`);
-                this.settings = { ...CONFIG.DEFAULT_SETTINGS };
+                this.settings = this._defaults();
                 return this.settings;
             }
         }
 
         async saveSettings() {
             try {
-                const setValue = this.useCompatibilityMode ? GM_setValue : GM.setValue;
-                await setValue('speedSettings', JSON.stringify(this.settings));
+                await this._setValue('speedSettings', JSON.stringify({ schemaVersion: CONFIG.SETTINGS_VERSION, ...this.settings }));
                 this.logger.debug('Settings saved successfully.');
             } catch (error) {
                 this.logger.error(`Failed to save settings: ${error.message}`);
             }
         }
 
+        /**
+         * Validates and stores a single setting.
+         * @returns {Promise<boolean>} false if the key is unknown or the value is invalid
+         */
         async updateSetting(key, value) {
-            if (this.settings.hasOwnProperty(key)) {
-                this.settings[key] = value;
-                await this.saveSettings();
-                this.logger.log(`Setting updated: ${key} = ${value}`);
-            } else {
-                this.logger.warn(`Attempted to update non-existent setting: ${key}`);
+            const result = this.validateSetting(key, value);
+            if (!result.valid) {
+                this.logger.warn(`Rejected setting update: ${result.reason}.`);
+                return false;
             }
+            this.settings[key] = result.value;
+            await this.saveSettings();
+            this.logger.log(`Setting updated: ${key} = ${JSON.stringify(result.value)}`);
+            emitEvent('settingsChanged', { source: 'update', changes: { [key]: result.value } });
+            return true;
         }
 
         get(key) {
             return this.settings.hasOwnProperty(key) ? this.settings[key] : undefined;
         }
-    }
 
-    // ===============================
-    // VIDEO DETECTION SYSTEM
-    // ===============================
-    class VideoDetector {
-        constructor(logger) {
-            this.logger = logger;
-            this.cache = new Map();
-            this.cacheTimeout = 3000; // Cache for 3 seconds
+        async loadChannelRules() {
+            try {
+                const parsed = await this._readJson('channelRules', {});
+                this.channelRules = {};
+                Object.entries(parsed && typeof parsed === 'object' ? parsed : {}).forEach(([channelKey, rule]) => {
+                    if (rule && isValidSpeed(rule.speed)) {
+                        this.channelRules[channelKey] = rule;
+                    } else {
+                        this.logger.warn(`Dropping invalid channel rule for ${channelKey}.`);
+                    }
+                });
+                this.logger.debug(`Channel rules loaded: ${Object.keys(this.channelRules).length} rule(s).`);
+            } catch (error) {
+                this.logger.error(`Failed to load channel rules: ${error.message}. Starting with no rules.`);
+                this.channelRules = {};
+            }
+            return this.channelRules;
         }
 
-        _checkWithCache(key, checkFunction) {
-            const now = Date.now();
-            const cached = this.cache.get(key);
-            if (cached && (now - cached.timestamp) < this.cacheTimeout) {
-                return cached.value;
+        async loadWatchStats() {
+            return this._readJson('watchStats', null);
+        }
+
+        async saveWatchStats(stats) {
+            try {
+                await this._setValue('watchStats', JSON.stringify(stats));
+            } catch (error) {
+                this.logger.error(`Failed to save watch statistics: ${error.message}`);
             }
-            const result = checkFunction();
-            this.cache.set(key, { value: result, timestamp: now });
-            return result;
         }
 
-        clearCache() {
-            this.cache.clear();
-            this.logger.debug("VideoDetector cache cleared.");
+        async loadDiagnostics() {
+            return this._readJson('diagnostics', null);
         }
 
-        isLiveStream() {
-            return this._checkWithCache('live', () => {
-                const selectors = [
-                    '.ytp-live-badge[aria-hidden="false"]', // Visible live badge
-                    'ytd-badge-supported-renderer.ytd-video-primary-info-renderer[is-live]', // Another live indicator
-                    '.ytp-time-display.ytp-live-status-indicator', // Live status in time display
-                    'span.ytp-live-label' // "LIVE" label text
-                ];
-                return selectors.some(s => {
-                    const el = document.querySelector(s);
-                    return el && el.offsetParent !== null;
+        async saveDiagnostics(entries) {
+            try {
+                await this._setValue('diagnostics', JSON.stringify(entries));
+            } catch (error) {
+                console.error(`Failed to save diagnostics: ${error.message}`); // Not through the logger, which would record it again
+            }
+        }
+
+        async saveChannelRules() {
+            try {
+                await this._setValue('channelRules', JSON.stringify(this.channelRules));
+                this.logger.debug('Channel rules saved successfully.');
+            } catch (error) {
+                this.logger.error(`Failed to save channel rules: ${error.message}`);
+            }
+        }
+
+        async loadVideoSpeeds() {
+            try {
+                const parsed = await this._readJson('videoSpeeds', []);
+                this.videoSpeeds.clear();
+                (Array.isArray(parsed) ? parsed : []).forEach(entry => {
+                    if (this._isValidVideoSpeedEntry(entry)) this.videoSpeeds.set(entry[0], entry[1]);
                 });
-            });
+                this.logger.debug(`Video speed history loaded: ${this.videoSpeeds.size} video(s).`);
+            } catch (error) {
+                this.logger.error(`Failed to load video speed history: ${error.message}. Starting empty.`);
+                this.videoSpeeds.clear();
+            }
+            return this.videoSpeeds;
         }
 
-        isShorts() {
-            return this._checkWithCache('shorts', () => window.location.pathname.includes('/shorts/'));
+        _isValidVideoSpeedEntry(entry) {
+            return Array.isArray(entry) && typeof entry[0] === 'string' && /^[\w-]{6,}$/.test(entry[0]) &&
+                   !!entry[1] && isValidSpeed(entry[1].speed);
         }
 
-        isPremiere() {
-            // Premieres might show as "live" shortly before or during.
-            return this._checkWithCache('premiere', () => {
-                const selectors = [
-                    '.ytp-premiere-badge', // "PREMIERE" badge
-                    'ytd-badge-supported-renderer[aria-label*="Premiere"]',
-                    '.ytp-time-display.ytp-is-premiere' // Premiere timer
-                ];
-                if (selectors.some(s => {
-                    const el = document.querySelector(s);
-                    return el && el.offsetParent !== null;
-                })) return true;
+        async saveVideoSpeeds() {
+            try {
+                await this._setValue('videoSpeeds', JSON.stringify(this.videoSpeeds.entries()));
+                this.logger.debug('Video speed history saved successfully.');
+            } catch (error) {
+                this.logger.error(`Failed to save video speed history: ${error.message}`);
+            }
+        }
+
+        /**
+         * Returns the remembered speed for a video and marks it as recently used. Call saveVideoSpeeds to persist.
+         * @returns {number|null}
+         */
+        getVideoSpeed(videoId) {
+            const entry = videoId ? this.videoSpeeds.get(videoId) : undefined;
+            return entry ? entry.speed : null;
+        }
+
+        /**
+         * Remembers a speed for a video. Call saveVideoSpeeds to persist.
+         */
+        setVideoSpeed(videoId, speed) {
+            this.videoSpeeds.setMaxSize(this.get('videoMemorySize'));
+            this.videoSpeeds.set(videoId, { speed, updatedAt: new Date().toISOString() });
+        }
+
+        async forgetVideoSpeed(videoId) {
+            if (!this.videoSpeeds.delete(videoId)) return false;
+            await this.saveVideoSpeeds();
+            this.logger.log(`Forgot remembered speed for video ${videoId}.`);
+            return true;
+        }
+
+        async clearVideoSpeeds() {
+            const count = this.videoSpeeds.size;
+            this.videoSpeeds.clear();
+            await this.saveVideoSpeeds();
+            this.logger.log(`Video speed history cleared (${count} video(s)).`);
+            return count;
+        }
+
+        /**
+         * Checks a channel rule against CONFIG.CHANNEL_RULE_SCHEMA. Unknown keys are dropped rather than stored.
+         * @returns {{valid: boolean, value?: Object, reason?: string}}
+         */
+        _validateChannelRule(rule, path) {
+            if (!rule || typeof rule !== 'object' || Array.isArray(rule)) return { valid: false, reason: `${path} must be an object` };
+            const { properties } = CONFIG.CHANNEL_RULE_SCHEMA;
+            const known = Object.fromEntries(Object.entries(rule).filter(([name]) => properties.hasOwnProperty(name)));
+            return this._validate(CONFIG.CHANNEL_RULE_SCHEMA, known, path);
+        }
+
+        /**
+         * Snapshot of everything the script stores, in the format `importState` accepts.
+         */
+        exportState() {
+            return {
+                format: CONFIG.EXPORT_FORMAT,
+                schemaVersion: CONFIG.SETTINGS_VERSION,
+                scriptVersion: (typeof GM_info !== 'undefined' && GM_info.script) ? GM_info.script.version : null,
+                exportedAt: new Date().toISOString(),
+                settings: JSON.parse(JSON.stringify(this.settings)),
+                channelRules: JSON.parse(JSON.stringify(this.channelRules)),
+                videoSpeeds: JSON.parse(JSON.stringify(this.videoSpeeds.entries())) // [videoId, { speed, updatedAt }], oldest first
+            };
+        }
+
+        /**
+         * Applies an export produced by `exportState`. Nothing is changed unless the whole document is valid.
+         * @param {Object} data Parsed export document
+         * @param {'merge'|'replace'} mode `merge` keeps settings and rules missing from the import, `replace` resets them
+         * @returns {Promise<{success: boolean, errors?: string[], changes?: string[]}>}
+         */
+        async importState(data, mode = 'merge') {
+            if (!data || typeof data !== 'object' || data.format !== CONFIG.EXPORT_FORMAT) {
+                return { success: false, errors: ['This file is not a settings export of this script.'] };
+            }
+            if (!['merge', 'replace'].includes(mode)) {
+                return { success: false, errors: [`Unknown import mode '${mode}'. Use 'merge' or 'replace'.`] };
+            }
+            if (data.schemaVersion > CONFIG.SETTINGS_VERSION) {
+                return { success: false, errors: [`The export uses settings schema v${data.schemaVersion}, this script supports up to v${CONFIG.SETTINGS_VERSION}. Update the script first.`] };
+            }
+
+            const errors = [];
+            const importedSettings = data.settings === undefined ? {} : data.settings;
+            let settingValues = {};
+            if (!importedSettings || typeof importedSettings !== 'object' || Array.isArray(importedSettings)) {
+                errors.push('settings must be an object');
+            } else {
+                const { values, problems } = this._validateStoredSettings({ ...importedSettings, schemaVersion: data.schemaVersion });
+                settingValues = values;
+                errors.push(...problems);
+            }
+
+            const rawRules = data.channelRules === undefined ? {} : data.channelRules;
+            const importedRules = {};
+            if (!rawRules || typeof rawRules !== 'object' || Array.isArray(rawRules)) {
+                errors.push('channelRules must be an object');
+            } else {
+                Object.entries(rawRules).forEach(([channelKey, rule]) => {
+                    const result = this._validateChannelRule(rule, `channelRules.${channelKey}`);
+                    if (result.valid) importedRules[channelKey] = result.value;
+                    else errors.push(result.reason);
+                });
+            }
+            const importedVideoSpeeds = data.videoSpeeds === undefined ? [] : data.videoSpeeds;
+            if (!Array.isArray(importedVideoSpeeds)) {
+                errors.push('videoSpeeds must be a list');
+            } else {
+                importedVideoSpeeds.forEach((entry, index) => {
+                    if (!this._isValidVideoSpeedEntry(entry)) errors.push(`videoSpeeds[${index}] is not a valid [videoId, { speed }] entry`);
+                });
+            }
+            if (errors.length > 0) {
+                this.logger.warn(`Import rejected: ${errors.join('; ')}`);
+                return { success: false, errors };
+            }
+
+            const newSettings = mode === 'replace' ? { ...this._defaults(), ...settingValues } : { ...this.settings, ...settingValues };
+            const newRules = mode === 'replace' ? { ...importedRules } : { ...this.channelRules, ...importedRules };
+
+            const changes = [];
+            const changedSettings = {};
+            Object.keys(newSettings).forEach(key => {
+                const before = JSON.stringify(this.settings[key]);
+                const after = JSON.stringify(newSettings[key]);
+                if (before !== after) {
+                    changes.push(`${key}: ${before} → ${after}`);
+                    changedSettings[key] = newSettings[key];
+                }
+            });
+            Object.keys({ ...this.channelRules, ...newRules }).forEach(channelKey => {
+                const before = this.channelRules[channelKey];
+                const after = newRules[channelKey];
+                const label = (after && after.name) || (before && before.name) || channelKey;
+                if (!before) changes.push(`Channel rule added: ${label} = ${after.speed}x`);
+                else if (!after) changes.push(`Channel rule removed: ${label}`);
+                else if (before.speed !== after.speed) changes.push(`Channel rule changed: ${label} ${before.speed}x → ${after.speed}x`);
+            });
+
+            const newVideoSpeeds = new LRUCache(newSettings.videoMemorySize);
+            if (mode === 'merge') this.videoSpeeds.entries().forEach(([videoId, entry]) => newVideoSpeeds.set(videoId, entry));
+            importedVideoSpeeds.forEach(([videoId, entry]) => newVideoSpeeds.set(videoId, entry));
+            const videoChanges = { added: 0, updated: 0, removed: 0 };
+            newVideoSpeeds.entries().forEach(([videoId, entry]) => {
+                const before = this.videoSpeeds.peek(videoId);
+                if (!before) videoChanges.added++;
+                else if (before.speed !== entry.speed) videoChanges.updated++;
+            });
+            this.videoSpeeds.entries().forEach(([videoId]) => {
+                if (!newVideoSpeeds.has(videoId)) videoChanges.removed++;
+            });
+            if (videoChanges.added || videoChanges.updated || videoChanges.removed) {
+                changes.push(`Video speeds: ${videoChanges.added} added, ${videoChanges.updated} updated, ${videoChanges.removed} removed`);
+            }
+
+            this.settings = newSettings;
+            this.channelRules = newRules;
+            this.videoSpeeds = newVideoSpeeds;
+            await this.saveSettings();
+            await this.saveChannelRules();
+            await this.saveVideoSpeeds();
+            this.logger.log(`Settings imported (${mode}): ${changes.length} change(s).`);
+            if (Object.keys(changedSettings).length > 0) emitEvent('settingsChanged', { source: 'import', changes: changedSettings });
+            return { success: true, changes };
+        }
+
+        getChannelRule(channelKey) {
+            return channelKey && this.channelRules.hasOwnProperty(channelKey) ? this.channelRules[channelKey] : null;
+        }
+
+        async setChannelRule(channelKey, speed, name = '') {
+            this.channelRules[channelKey] = { speed, name, updatedAt: new Date().toISOString() };
+            await this.saveChannelRules();
+            this.logger.log(`Channel rule set: ${name || channelKey} = ${speed}x`);
+        }
+
+        async clearChannelRule(channelKey) {
+            if (!this.channelRules.hasOwnProperty(channelKey)) return false;
+            delete this.channelRules[channelKey];
+            await this.saveChannelRules();
+            this.logger.log(`Channel rule cleared: ${channelKey}`);
+            return true;
+        }
+    }
+
+    // ===============================
+    // VIDEO DETECTION SYSTEM
+    // ===============================
+    class VideoDetector {
+        constructor(logger, settingsManager) {
+            this.logger = logger;
+            this.settingsManager = settingsManager;
+            this.cache = new Map();
+            this.cacheTimeout = 3000; // Cache for 3 seconds
+            this.lastDetection = null; // { type, source, videoId } from the last getVideoType call
+            this.customDetectors = new Map(); // name -> function(context) returning a type or null
+        }
+
+        /**
+         * Adds a detector that is asked before the built-in detection. Returning null (or nothing)
+         * leaves the decision to the next detector.
+         * @param {string} name
+         * @param {function({videoId: string|null, url: string, title: string, duration: number|null, embedded: boolean}): string|null} detector
+         */
+        registerDetector(name, detector) {
+            this.customDetectors.set(name, detector);
+            this.clearCache();
+        }
+
+        unregisterDetector(name) {
+            this.clearCache();
+            return this.customDetectors.delete(name);
+        }
+
+        _detectFromCustom() {
+            if (this.customDetectors.size === 0) return null;
+            const context = {
+                videoId: getVideoIdFromUrl(),
+                url: window.location.href,
+                title: this.getVideoTitle(),
+                duration: this.getDuration(),
+                embedded: isEmbedPage()
+            };
+            for (const [name, detector] of this.customDetectors) {
+                try {
+                    const type = detector(toPage(context)); // Detectors may come from page scripts
+                    if (VideoDetector.TYPES.includes(type)) return { type, source: `custom:${name}` };
+                    if (type !== null && type !== undefined) this.logger.warn(`Detector '${name}' returned unknown type '${type}', ignored.`);
+                } catch (error) {
+                    this.logger.warn(`Detector '${name}' failed: ${error.message}`);
+                }
+            }
+            return null;
+        }
+
+        _checkWithCache(key, checkFunction) {
+            const now = Date.now();
+            const cached = this.cache.get(key);
+            if (cached && (now - cached.timestamp) < this.cacheTimeout) {
+                return cached.value;
+            }
+            const result = checkFunction();
+            this.cache.set(key, { value: result, timestamp: now });
+            return result;
+        }
+
+        clearCache() {
+            this.cache.clear();
+            this.logger.debug("VideoDetector cache cleared.");
+        }
+
+        isLiveStream() {
+            return this._checkWithCache('live', () => {
+                const selectors = [
+                    '.ytp-live-badge[aria-hidden="false"]', // Visible live badge
+                    'ytd-badge-supported-renderer.ytd-video-primary-info-renderer[is-live]', // Another live indicator
+                    '.ytp-time-display.ytp-live-status-indicator', // Live status in time display
+                    'span.ytp-live-label' // "LIVE" label text
+                ];
+                return selectors.some(s => {
+                    const el = document.querySelector(s);
+                    return el && el.offsetParent !== null;
+                });
+            });
+        }
+
+        isShorts() {
+            return this._checkWithCache('shorts', () => window.location.pathname.includes('/shorts/'));
+        }
+
+        isPremiere() {
+            // Premieres might show as "live" shortly before or during.
+            return this._checkWithCache('premiere', () => {
+                const selectors = [
+                    '.ytp-premiere-badge', // "PREMIERE" badge
+                    'ytd-badge-supported-renderer[aria-label*="Premiere"]',
+                    '.ytp-time-display.ytp-is-premiere' // Premiere timer
+                ];
+                if (selectors.some(s => {
+                    const el = document.querySelector(s);
+                    return el && el.offsetParent !== null;
+                })) return true;
 
                 // Check for "Waiting for..." or "Premieres in..." text if it's an upcoming premiere
                 const premiereTextElement = document.querySelector('#info-strings > yt-formatted-string');
@@ -296,184 +1901,2127 @@
             });
         }
 
-        isMusicVideo() {
-            // This check is for www.youtube.com, as music.youtube.com is excluded by @exclude.
-            // It's heuristic and may not be perfect.
-            return this._checkWithCache('music', () => {
-                // Check for "Topic" channels which are often auto-generated music channels
-                const channelNameElement = document.querySelector('ytd-video-owner-renderer #channel-name .ytd-channel-name');
-                if (channelNameElement && channelNameElement.textContent.trim().endsWith(" - Topic")) {
-                    this.logger.debug("Music video detected: 'Topic' channel.");
-                    return true;
-                }
-                // Check for "Provided to YouTube by" in description (common for auto-uploads by distributors)
-                const descriptionElement = document.querySelector('#description-inline-expander .content.ytd-video-secondary-info-renderer, #description .content, #description-text');
-                if (descriptionElement && descriptionElement.textContent.includes("Provided to YouTube by")) {
-                    this.logger.debug("Music video detected: 'Provided to YouTube by' in description.");
-                    return true;
-                }
-                // Check if "Music" category is prominent
-                const categoryLink = document.querySelector('#info #text-container yt-formatted-string a[href*="/channel/UC-9-kyTW8ZkZNDHQJ6b7Mrg"]'); // Official "Music" category link
-                if (categoryLink) {
-                     this.logger.debug("Music video detected: Official 'Music' category link found.");
-                    return true;
-                }
-                // Check for music-related keywords in video title if other indicators fail
-                const videoTitleElement = document.querySelector('h1.ytd-video-primary-info-renderer yt-formatted-string.ytd-video-primary-info-renderer, #title h1 yt-formatted-string');
-                if(videoTitleElement) {
-                    const titleText = videoTitleElement.textContent.toLowerCase();
-                    const musicKeywords = ['official video', 'music video', 'lyric video', '(audio)', '(lyrics)', 'song', 'album', 'ft.', 'feat.'];
-                    if (musicKeywords.some(keyword => titleText.includes(keyword))) {
-                        this.logger.debug(`Music video detected: keyword '${musicKeywords.find(k => titleText.includes(k))}' in title.`);
-                        return true;
-                    }
-                }
-                return false;
-            });
+        isMusicVideo() {
+            // This check is for www.youtube.com, as music.youtube.com is excluded by @exclude.
+            return this.classifyMusic().isMusic;
+        }
+
+        /**
+         * Scores how much the current video looks like music. Every signal adds or removes points and
+         * the video counts as music once the total reaches the `musicThreshold` setting, so a single
+         * weak hint such as "song" in the title is not enough on its own.
+         * @returns {{isMusic: boolean, score: number, threshold: number, signals: Array<{signal: string, weight: number, detail: string}>}}
+         */
+        classifyMusic() {
+            return this._checkWithCache('music', () => {
+                const weights = VideoDetector.MUSIC_WEIGHTS;
+                const keywords = this.settingsManager.get('musicKeywords');
+                const threshold = this.settingsManager.get('musicThreshold');
+                const response = this.getPlayerResponse();
+                const details = (response && response.videoDetails) || {};
+                const microformat = (response && response.microformat && response.microformat.playerMicroformatRenderer) || {};
+                const signals = [];
+                const add = (signal, weight, detail) => signals.push({ signal, weight, detail });
+
+                // "Topic" channels are auto-generated by YouTube for artists
+                const channelNameElement = document.querySelector('ytd-video-owner-renderer #channel-name .ytd-channel-name');
+                const videoData = this.getPlayerVideoData();
+                const channelName = details.author || (videoData && videoData.author) ||
+                                    (channelNameElement ? channelNameElement.textContent.trim() : '');
+                if (channelName.endsWith(' - Topic')) add('topicChannel', weights.topicChannel, channelName);
+
+                // Auto-uploads by distributors start their description with this line
+                const descriptionElement = document.querySelector('#description-inline-expander .content.ytd-video-secondary-info-renderer, #description .content, #description-text');
+                const description = details.shortDescription || (descriptionElement ? descriptionElement.textContent : '');
+                if (description.includes('Provided to YouTube by')) add('providedToYouTube', weights.providedToYouTube, 'Provided to YouTube by');
+
+                if (details.musicVideoType) add('musicVideoType', weights.musicVideoType, details.musicVideoType);
+
+                const categoryLink = document.querySelector('#info #text-container yt-formatted-string a[href*="/channel/UC-9-kyTW8ZkZNDHQJ6b7Mrg"]'); // Official "Music" category link
+                if (microformat.category === 'Music' || categoryLink) add('musicCategory', weights.musicCategory, 'Music');
+
+                if (document.querySelector('ytd-video-owner-renderer .badge-style-type-verified-artist')) {
+                    add('officialArtist', weights.officialArtist, 'Official artist channel');
+                }
+
+                const title = this.getVideoTitle().toLowerCase();
+                if (title) {
+                    const strong = keywords.strong.find(keyword => title.includes(keyword.toLowerCase()));
+                    if (strong) add('strongKeyword', weights.strongKeyword, strong);
+                    keywords.weak.filter(keyword => title.includes(keyword.toLowerCase()))
+                        .slice(0, weights.maxWeakKeywords)
+                        .forEach(keyword => add('weakKeyword', weights.weakKeyword, keyword));
+                    const negative = keywords.negative.find(keyword => title.includes(keyword.toLowerCase()));
+                    if (negative) add('negativeKeyword', weights.negativeKeyword, negative);
+                }
+
+                const duration = this.getDuration() || 0;
+                if (duration >= 90 && duration <= 480) {
+                    add('songLength', weights.songLength, `${Math.round(duration)}s`);
+                } else if (duration > 1200) {
+                    add('longVideo', weights.longVideo, `${Math.round(duration)}s`);
+                }
+
+                const score = signals.reduce((total, { weight }) => total + weight, 0);
+                const isMusic = score >= threshold;
+                this.logger.debug(`Music score ${score}/${threshold} (${signals.map(({ signal, weight }) => `${signal} ${weight > 0 ? '+' : ''}${weight}`).join(', ') || 'no signals'}).`);
+                return { isMusic, score, threshold, signals };
+            });
+        }
+
+        /**
+         * Reads the chapter list from the timestamps in the description, the same lines YouTube
+         * turns into chapters: at least two, starting at 0:00, in ascending order.
+         * @returns {Array<{start: number, title: string}>} Empty if the video has no chapters
+         */
+        getChapters() {
+            return this._checkWithCache('chapters', () => {
+                const response = this.getPlayerResponse();
+                const description = response ? response.videoDetails.shortDescription || '' : '';
+                const chapters = [];
+                for (const line of description.split('\n')) {
+                    const match = line.match(/^\s*[-–•*]?\s*\(?((?:\d{1,2}:)?\d{1,2}:\d{2})\)?\s*[-–—:|]?\s*(.+?)\s*$/);
+                    if (!match) continue;
+                    const start = match[1].split(':').reduce((total, part) => total * 60 + Number(part), 0);
+                    if (chapters.length > 0 && start <= chapters[chapters.length - 1].start) continue;
+                    chapters.push({ start, title: match[2] });
+                }
+                return chapters.length >= 2 && chapters[0].start === 0 ? chapters : [];
+            });
+        }
+
+        /**
+         * Finds the chapter playing at `time`, falling back to the chapter title the player shows
+         * when the description has no usable timestamps.
+         * @param {number} time Seconds
+         * @returns {{start: number|null, title: string, source: 'description'|'player'}|null}
+         */
+        getCurrentChapter(time) {
+            const chapters = this.getChapters();
+            if (chapters.length > 0) {
+                const chapter = chapters.filter(({ start }) => start <= time).pop();
+                return chapter ? { ...chapter, source: 'description' } : null;
+            }
+            const titleElement = document.querySelector('.ytp-chapter-title-content');
+            const title = titleElement ? titleElement.textContent.trim() : '';
+            return title ? { start: null, title, source: 'player' } : null;
+        }
+
+        /**
+         * @returns {string} The current video's title, or '' if not known yet
+         */
+        getVideoTitle() {
+            const response = this.getPlayerResponse();
+            if (response && response.videoDetails.title) return response.videoDetails.title;
+            const videoData = this.getPlayerVideoData();
+            if (videoData && videoData.title) return videoData.title;
+            const titleElement = document.querySelector('h1.ytd-video-primary-info-renderer yt-formatted-string.ytd-video-primary-info-renderer, #title h1 yt-formatted-string, .ytp-title-link');
+            return titleElement ? titleElement.textContent.trim() : '';
+        }
+
+        /**
+         * @returns {number|null} The current video's length in seconds, or null if unknown (e.g. live streams)
+         */
+        getDuration() {
+            const response = this.getPlayerResponse();
+            const lengthSeconds = response ? Number(response.videoDetails.lengthSeconds) : 0;
+            if (lengthSeconds > 0) return lengthSeconds;
+            const video = document.querySelector('video.html5-main-video');
+            return video && Number.isFinite(video.duration) && video.duration > 0 ? video.duration : null;
+        }
+
+        /**
+         * Reads the channel of the current watch page from the owner renderer, falling back to the
+         * player response when the renderer is missing or stale.
+         * @returns {{key: string, name: string, id: string|null}|null} `key` is the channel ID (UC...) or
+         *          @handle, `id` the channel ID when the player response knows it
+         */
+        getChannelInfo() {
+            return this._checkWithCache('channel', () => {
+                const response = this.getPlayerResponse();
+                const details = response && response.videoDetails ? response.videoDetails : null;
+                const channelId = details && details.channelId ? details.channelId : null;
+                const fromResponse = channelId ? { key: channelId, name: details.author || '', id: channelId } : null;
+
+                // The owner renderer lingers from the previous video during SPA navigation
+                const watchFlexy = document.querySelector('ytd-watch-flexy');
+                const urlVideoId = new URLSearchParams(window.location.search).get('v');
+                if (watchFlexy && urlVideoId && watchFlexy.getAttribute('video-id') && watchFlexy.getAttribute('video-id') !== urlVideoId) {
+                    this.logger.debug("Owner renderer is stale, using player response for the channel.");
+                    return fromResponse;
+                }
+
+                // Embeds only have the channel link in the player's title bar
+                const channelLink = document.querySelector(isEmbedPage()
+                    ? '.ytp-title-channel a[href], a.ytp-title-channel-logo[href]'
+                    : 'ytd-video-owner-renderer #channel-name a[href], ytd-video-owner-renderer a.yt-simple-endpoint[href]');
+                if (!channelLink) return fromResponse;
+
+                const href = channelLink.getAttribute('href') || '';
+                const match = href.match(/\/channel\/(UC[\w-]+)/) || href.match(/\/(@[^/?#]+)/) || href.match(/\/(?:c|user)\/([^/?#]+)/);
+                if (!match) return fromResponse;
+
+                return {
+                    key: decodeURIComponent(match[1]),
+                    name: channelLink.textContent.trim(),
+                    id: channelId
+                };
+            });
+        }
+
+        /**
+         * Returns the player response (videoDetails, microformat...) for the current video, or null
+         * if none is available yet or the one on the page belongs to the previous video.
+         * @returns {Object|null}
+         */
+        getPlayerResponse() {
+            return this._checkWithCache('playerResponse', () => {
+                const videoId = getVideoIdFromUrl();
+                const candidates = [];
+                const player = getPlayer();
+                if (player && typeof player.getPlayerResponse === 'function') {
+                    try {
+                        candidates.push(player.getPlayerResponse());
+                    } catch (error) {
+                        this.logger.debug(`getPlayerResponse failed: ${error.message}`);
+                    }
+                }
+                candidates.push(pageWindow.ytInitialPlayerResponse); // Only fresh on the first page load
+                return candidates.find(response =>
+                    response && response.videoDetails && (!videoId || response.videoDetails.videoId === videoId)
+                ) || null;
+            });
+        }
+
+        /**
+         * Returns the player's own video data (isLive, isPremiere...) if it belongs to the current video.
+         * @returns {Object|null}
+         */
+        getPlayerVideoData() {
+            return this._checkWithCache('playerVideoData', () => {
+                const player = getPlayer();
+                if (!player || typeof player.getVideoData !== 'function') return null;
+                try {
+                    const videoData = player.getVideoData();
+                    const videoId = getVideoIdFromUrl();
+                    return videoData && (!videoId || videoData.video_id === videoId) ? videoData : null;
+                } catch (error) {
+                    this.logger.debug(`getVideoData failed: ${error.message}`);
+                    return null;
+                }
+            });
+        }
+
+        /**
+         * Decides the video type from player metadata, which doesn't depend on the UI language or
+         * YouTube's markup.
+         * @returns {string|null} The type, or null if no metadata for the current video is available
+         */
+        _detectFromMetadata() {
+            const response = this.getPlayerResponse();
+            const videoData = this.getPlayerVideoData();
+            if (!response && !videoData) return null;
+
+            const details = (response && response.videoDetails) || {};
+            const microformat = (response && response.microformat && response.microformat.playerMicroformatRenderer) || {};
+            const broadcast = microformat.liveBroadcastDetails || {};
+
+            if ((videoData && videoData.isLive) || details.isLive || (broadcast.isLiveNow && !broadcast.endTimestamp)) {
+                return details.isLiveContent === false && (videoData && videoData.isPremiere) ? 'premiere' : 'live';
+            }
+            if ((videoData && videoData.isPremiere) || (details.isUpcoming && !details.isLiveContent)) return 'premiere';
+            if (details.isUpcoming) return 'live'; // Scheduled live stream
+            if (this.isShorts()) return 'shorts';
+            if (this.isMusicVideo()) return 'music';
+            return 'regular';
+        }
+
+        _detectFromDom() {
+            if (this.isLiveStream()) return 'live';
+            if (this.isPremiere()) return 'premiere'; // Check before shorts as UI might overlap
+            if (this.isShorts()) return 'shorts';
+            if (this.isMusicVideo()) return 'music';
+            return 'regular';
+        }
+
+        /**
+         * Embeds have no watch page around the player, so only the player's own badges are left.
+         * Shorts and music can't be told apart from regular videos this way.
+         */
+        _detectFromEmbedPlayer() {
+            if (this.isLiveStream()) return 'live';
+            if (this.isPremiere()) return 'premiere';
+            return 'regular';
+        }
+
+        /**
+         * Detects the current video's type from player metadata, with DOM heuristics as fallback.
+         * Which of the two decided is kept in `lastDetection`.
+         * @returns {'live'|'premiere'|'shorts'|'music'|'regular'}
+         */
+        getVideoType() {
+            const custom = this._detectFromCustom();
+            if (custom) {
+                this.lastDetection = { ...custom, videoId: getVideoIdFromUrl() };
+                this.logger.debug(`Video type '${custom.type}' decided by ${custom.source}.`);
+                return custom.type;
+            }
+            const metadataType = this._detectFromMetadata();
+            const embedded = isEmbedPage();
+            const type = metadataType || (embedded ? this._detectFromEmbedPlayer() : this._detectFromDom());
+            const source = metadataType ? 'playerResponse' : (embedded ? 'embed' : 'dom');
+            this.lastDetection = { type, source, videoId: getVideoIdFromUrl() };
+            this.logger.debug(`Video type '${type}' decided by ${source === 'playerResponse' ? 'player metadata' : `${source} heuristics`}.`);
+            return type;
+        }
+    }
+
+    VideoDetector.TYPES = Object.freeze(['regular', 'shorts', 'live', 'premiere', 'music']);
+
+    // Points each music signal adds to the score compared against `musicThreshold`
+    VideoDetector.MUSIC_WEIGHTS = Object.freeze({
+        topicChannel: 60,
+        providedToYouTube: 60,
+        musicVideoType: 60,
+        musicCategory: 30,
+        officialArtist: 30,
+        strongKeyword: 35,
+        weakKeyword: 10,
+        maxWeakKeywords: 2, // Only the first two weak keywords count
+        negativeKeyword: -40,
+        songLength: 10, // 1.5 to 8 minutes
+        longVideo: -30 // Over 20 minutes
+    });
+
+    // ===============================
+    // VIDEO ELEMENT MANAGER
+    // ===============================
+    class VideoManager {
+        constructor(logger, timer, debouncer, settingsManager) {
+            this.logger = logger;
+            this.timer = timer;
+            this.debouncer = debouncer; // Store debouncer
+            this.settingsManager = settingsManager;
+            this.currentVideo = null;
+            this.lastVideoSrc = null;
+            this.mediaEventTracking = null; // { types, handler } on the document, see setupVideoTracking
+            this.onVideoChange = null;
+            this.videoWaiters = new Set(); // Resolvers of findVideoElement calls waiting for a ready video
+            this.clampGuard = null;
+            this.verifyTimeoutId = null;
+
+            // Who set the current rate: 'script', 'user' or 'player' (YouTube itself)
+            this.videoListeners = null; // { video, handlers } on the current element
+            this.expectedRate = null; // { rate, origin, at } for the last rate we set
+            this.rateOrigin = null;
+            this.userRate = null; // Rate the user chose for the current video, never overridden
+            this.onUserRateChange = null; // Callback(rate) when the user picks a rate
+            this.lastUserInputAt = 0;
+            this.lastLoadAt = 0;
+
+            this.lastScriptRate = null; // Last rate the script set; outlives navigation since the element keeps its rate
+
+            // Rate to hold for the current video against YouTube resets: { target, origin, videoId, attempts }
+            this.enforcement = null;
+            this.playerStateListener = null; // { player, handler }
+            this.speedActive = false; // Whether the script's speed is in effect for the current video, see setSpeedActive
+            this.rateOverride = null; // Rate a chapter rule or caption pacing holds over the script's target, see setRateOverride
+            this.silenceSkipper = new SilenceSkipper(logger, timer, settingsManager, this);
+
+            // Gradual start: { video, videoId, start, target, step, rate, handler }, see _maybeRamp
+            this.ramp = null;
+            this.rampedVideoId = null; // Each video ramps up once, not again on every re-apply
+        }
+
+        /**
+         * Starts following the main video element through media events on the document instead of
+         * polling or observing the DOM. Media events don't bubble, but capturing listeners on the
+         * document see them for every element, including ones added later.
+         * @param {function(): void} onVideoChange Called (debounced) when a new element or source is ready
+         */
+        setupVideoTracking(onVideoChange) {
+            this.cleanupVideoTracking();
+            this.onVideoChange = onVideoChange;
+            const handler = (e) => {
+                const video = e.target;
+                if (video.tagName !== 'VIDEO' || !video.classList.contains('html5-main-video')) return;
+                if (e.type === 'emptied') {
+                    if (video === this.currentVideo) this.lastVideoSrc = null; // Unloaded; the next source counts as new
+                    return;
+                }
+                this._checkVideo(video);
+            };
+            // 'playing' catches a loaded element that only now became visible, e.g. after switching players
+            const types = ['loadedmetadata', 'durationchange', 'playing', 'emptied'];
+            types.forEach(type => document.addEventListener(type, handler, true));
+            this.mediaEventTracking = { types, handler };
+            this._checkVideo(this._queryMainVideo()); // Loaded before the script started
+            this.logger.debug('Video tracking attached.');
+        }
+
+        cleanupVideoTracking() {
+            if (!this.mediaEventTracking) return;
+            const { types, handler } = this.mediaEventTracking;
+            types.forEach(type => document.removeEventListener(type, handler, true));
+            this.mediaEventTracking = null;
+            this.logger.debug('Video tracking detached.');
+        }
+
+        /**
+         * The visible main video element. Pages with Shorts keep the hidden watch player around.
+         * @returns {HTMLVideoElement|null}
+         */
+        _queryMainVideo() {
+            const videos = [...document.querySelectorAll('video.html5-main-video')];
+            return videos.find(video => video.offsetParent !== null) || videos[0] || null;
+        }
+
+        _isReady(video) {
+            return !!video && !!video.src && video.readyState >= 1 && video.duration > 0 && video.offsetParent !== null;
+        }
+
+        /**
+         * Makes `video` the current video if it is ready, moving listeners over when the element changed,
+         * and wakes up everyone waiting in findVideoElement.
+         * @param {HTMLVideoElement|null} video
+         * @param {boolean} [notify] Whether a new element or source calls `onVideoChange`
+         * @returns {HTMLVideoElement|null} The video, or null if it isn't ready
+         */
+        _checkVideo(video, notify = true) {
+            if (!this._isReady(video)) return null;
+            const changed = this.currentVideo !== video || this.lastVideoSrc !== video.src;
+            if (changed) {
+                this.logger.debug(this.currentVideo !== video ?
+                    `Found main video element (src: ${video.src.substring(0,50)}...).` :
+                    `Video source changed to ${video.src.substring(0,50)}...`);
+                this.currentVideo = video;
+                this.lastVideoSrc = video.src;
+                this._attachVideoListeners(video);
+            }
+            this.syncSilenceSkipping(); // Navigation detaches it even when the element and source stay
+            const waiters = [...this.videoWaiters];
+            this.videoWaiters.clear();
+            waiters.forEach(resolve => resolve(video));
+            // Whoever was waiting applies the speed already
+            if (changed && notify && waiters.length === 0 && this.onVideoChange) {
+                this.debouncer.debounce('videoChange', () => this.onVideoChange(), CONFIG.TIMERS.DEBOUNCE_DELAY + 100);
+            }
+            return video;
+        }
+
+        /**
+         * Resolves with the main video once it is ready to play: right away if it already is,
+         * otherwise on the media event that makes it ready.
+         * @param {number} [timeout] ms to wait before rejecting
+         * @param {AbortSignal} [signal] Stops waiting, rejecting with the signal's reason
+         * @returns {Promise<HTMLVideoElement>}
+         */
+        findVideoElement(timeout = CONFIG.TIMERS.VIDEO_WAIT_TIMEOUT, signal = null) {
+            if (signal && signal.aborted) return Promise.reject(signal.reason);
+            const video = this._checkVideo(this._queryMainVideo(), false);
+            if (video) return Promise.resolve(video);
+            return new Promise((resolve, reject) => {
+                const settle = () => {
+                    this.timer.clearTimeout(timeoutId);
+                    this.videoWaiters.delete(waiter);
+                    if (signal) signal.removeEventListener('abort', onAbort);
+                };
+                const timeoutId = this.timer.setTimeout(() => {
+                    settle();
+                    this.logger.warn(`No ready video element within ${timeout / 1000}s.`);
+                    this.currentVideo = null;
+                    this.lastVideoSrc = null;
+                    reject(new Error('Video element not found.'));
+                }, timeout);
+                const waiter = (readyVideo) => {
+                    settle();
+                    resolve(readyVideo);
+                };
+                const onAbort = () => {
+                    settle();
+                    reject(signal.reason);
+                };
+                this.videoWaiters.add(waiter);
+                if (signal) signal.addEventListener('abort', onAbort);
+            });
+        }
+
+        /**
+         * @param {number} targetSpeed
+         * @param {{origin?: 'script'|'user', signal?: AbortSignal}} [options] `user` for changes the user asked
+         *        for (e.g. hotkeys); `signal` gives up waiting for the video when the request is superseded
+         * @returns {Promise<boolean>} true if the rate was changed
+         */
+        async setPlaybackSpeed(targetSpeed, options = {}) {
+            const origin = options.origin || 'script';
+            try {
+                const video = await this.findVideoElement(undefined, options.signal);
+                if (!video) {
+                    this.logger.warn('No video element available to set speed.');
+                    return false;
+                }
+                if (origin === 'user') {
+                    this._setUserRate(targetSpeed);
+                }
+
+                this._holdRate(targetSpeed, origin);
+                if (origin === 'script' && this._maybeRamp(video, targetSpeed)) return true;
+                this._cancelRamp();
+
+                if (Math.abs(video.playbackRate - targetSpeed) > 0.01) {
+                    const oldSpeed = video.playbackRate;
+                    this._applyRate(video, targetSpeed, origin);
+                    // Verify change due to potential YouTube overrides
+                    this.verifyTimeoutId = this.timer.setTimeout(() => {
+                        this.verifyTimeoutId = null;
+                        if (video && Math.abs(video.playbackRate - targetSpeed) > 0.01 && this.rateOrigin !== 'user') {
+                            this.logger.warn(`Speed reverted or failed to set. Current: ${video.playbackRate}, Target: ${targetSpeed}. Retrying once.`);
+                            this._expectRate(targetSpeed, origin);
+                            video.playbackRate = targetSpeed; // Retry
+                        }
+                    }, 100);
+                    this.logger.log(`Playback speed changed from ${oldSpeed.toFixed(2)}x to ${targetSpeed.toFixed(2)}x.`);
+                    return true;
+                } else {
+                    if (origin === 'script') this.lastScriptRate = targetSpeed;
+                    this.logger.debug(`Playback speed already at target ${targetSpeed.toFixed(2)}x.`);
+                    return false;
+                }
+            } catch (error) {
+                if (error.name === 'AbortError') {
+                    this.logger.debug(`Setting ${targetSpeed}x cancelled: ${error.message}`);
+                } else {
+                    this.logger.error(`Failed to set playback speed: ${error.message}`);
+                }
+                return false;
+            }
+        }
+
+        /**
+         * Starts (or retargets) the ramp from `rampStartSpeed` up to `target` when a video begins.
+         * The rate rises in `rampSteps` equal steps over the first `rampDuration` seconds of media
+         * time, so the ramp waits while the video is paused.
+         * @returns {boolean} true if the ramp now controls the rate
+         */
+        _maybeRamp(video, target) {
+            const videoId = getVideoIdFromUrl();
+            if (this.ramp && this.ramp.video === video && this.ramp.videoId === videoId) {
+                this.ramp.target = target; // E.g. a channel rule resolved after the default was applied
+                this._advanceRamp();
+                return true;
+            }
+            const { rampSpeed, rampStartSpeed, rampDuration } = this.settingsManager.settings;
+            if (!rampSpeed || this.rampedVideoId === videoId || target <= rampStartSpeed || video.currentTime >= rampDuration) return false;
+
+            this._cancelRamp();
+            this.rampedVideoId = videoId;
+            const handler = () => this._advanceRamp();
+            video.addEventListener('timeupdate', handler);
+            this.ramp = { video, videoId, start: rampStartSpeed, target, step: -1, rate: null, handler };
+            this.logger.log(`Ramping from ${rampStartSpeed}x to ${target}x over the first ${rampDuration}s.`);
+            this._advanceRamp();
+            return true;
+        }
+
+        _advanceRamp() {
+            const ramp = this.ramp;
+            if (!ramp) return;
+            if (this.userRate !== null || ramp.videoId !== getVideoIdFromUrl()) {
+                this.logger.debug('Speed ramp stopped (speed changed by the user or new video).');
+                this._cancelRamp();
+                return;
+            }
+            const { rampDuration, rampSteps } = this.settingsManager.settings;
+            const step = Math.min(rampSteps, Math.floor(ramp.video.currentTime / (rampDuration / rampSteps)));
+            if (step === ramp.step) return;
+            ramp.step = step;
+            ramp.rate = Math.round((ramp.start + (ramp.target - ramp.start) * step / rampSteps) * 100) / 100;
+            if (step >= rampSteps) {
+                ramp.rate = ramp.target;
+                this._cancelRamp();
+                this.logger.log(`Ramp finished at ${ramp.target}x.`);
+            } else {
+                this.logger.debug(`Ramp step ${step + 1}/${rampSteps}: ${ramp.rate}x.`);
+            }
+            if (Math.abs(ramp.video.playbackRate - ramp.rate) > 0.01) this._applyRate(ramp.video, ramp.rate, 'script');
+        }
+
+        _cancelRamp() {
+            if (!this.ramp) return;
+            this.ramp.video.removeEventListener('timeupdate', this.ramp.handler);
+            this.ramp = null;
+        }
+
+        /**
+         * Sets `speed` only if the current rate is one the script applied, e.g. 1.75x inherited from the
+         * previous video. Rates chosen by the user are left alone.
+         * @param {AbortSignal} [signal] See setPlaybackSpeed
+         * @returns {Promise<boolean>} true if the rate was changed
+         */
+        async restoreScriptRate(speed, signal = null) {
+            const video = await this.findVideoElement(undefined, signal);
+            if (this.userRate !== null || this.lastScriptRate === null || Math.abs(video.playbackRate - this.lastScriptRate) > 0.01) {
+                this.logger.debug(`Current rate ${video.playbackRate}x was not set by the script, leaving it.`);
+                return false;
+            }
+            if (Math.abs(video.playbackRate - speed) <= 0.01) return false;
+            this.logger.log(`Restoring ${speed}x (was ${video.playbackRate}x from the script).`);
+            return this.setPlaybackSpeed(speed, { signal });
+        }
+
+        /**
+         * Attaches or detaches silence skipping for the current video to match the `skipSilence` setting.
+         */
+        syncSilenceSkipping() {
+            if (this.currentVideo && this.speedActive && this.settingsManager.get('skipSilence')) {
+                this.silenceSkipper.attach(this.currentVideo);
+            } else {
+                this.silenceSkipper.detach();
+            }
+        }
+
+        /**
+         * Records whether the script's speed applies to the current video. Silence skipping follows it,
+         * so skipped video types and turned-off embeds play untouched.
+         * @param {boolean} active
+         */
+        setSpeedActive(active) {
+            this.speedActive = active;
+            this.syncSilenceSkipping();
+        }
+
+        /**
+         * Sets a rate for a short stretch (e.g. silence skipping) without making it the rate to hold
+         * for the video. The change is attributed to `origin` so it isn't mistaken for the user's.
+         */
+        applyTransientRate(rate, origin) {
+            if (!this.currentVideo) return;
+            this._expectRate(rate, origin);
+            this.currentVideo.playbackRate = rate;
+        }
+
+        /**
+         * Makes `_enforce` hold `rate` instead of the script's target until released with null,
+         * so resuming or reloading doesn't snap a rate a feature keeps for a while back to the target.
+         * Rates the user chose are held as before.
+         * @param {number|null} rate
+         */
+        setRateOverride(rate) {
+            this.rateOverride = rate;
+        }
+
+        _expectRate(rate, origin) {
+            this.expectedRate = { rate, origin, at: Date.now() };
+        }
+
+        _applyRate(video, targetSpeed, origin = 'script') {
+            // A newer target supersedes any pending verification or clamp guard for the previous one
+            if (this.verifyTimeoutId) {
+                this.timer.clearTimeout(this.verifyTimeoutId);
+                this.verifyTimeoutId = null;
+            }
+            this._releaseClampGuard();
+            const player = getPlayer();
+            const withinUiRange = targetSpeed >= CONFIG.YT_UI_SPEED_LIMITS.MIN && targetSpeed <= CONFIG.YT_UI_SPEED_LIMITS.MAX;
+            this._expectRate(targetSpeed, origin);
+            if (player && withinUiRange && typeof player.setPlaybackRate === 'function') {
+                player.setPlaybackRate(targetSpeed); // Keeps YouTube's own speed menu in sync
+            }
+            video.playbackRate = targetSpeed;
+            if (!withinUiRange && !this.settingsManager.get('enforceSpeed')) {
+                // Enforcement already re-applies the rate whenever the player changes it
+                this._guardAgainstClamping(video, targetSpeed, origin);
+            }
+        }
+
+        _holdRate(target, origin) {
+            const videoId = getVideoIdFromUrl();
+            const sameVideo = this.enforcement && this.enforcement.videoId === videoId;
+            this.enforcement = { target, origin, videoId, attempts: sameVideo ? this.enforcement.attempts : 0 };
+        }
+
+        _isAdShowing() {
+            const player = document.getElementById('movie_player');
+            return !!(player && player.classList.contains('ad-showing'));
+        }
+
+        /**
+         * Re-applies the held rate if something other than the user changed it.
+         * @param {string} reason What prompted the check, for the log
+         */
+        _enforce(reason) {
+            const enforcement = this.enforcement;
+            const video = this.currentVideo;
+            if (!enforcement || !video || !this.settingsManager.get('enforceSpeed')) return;
+            if (enforcement.videoId !== getVideoIdFromUrl()) return; // Navigated away; the controller decides for the new video
+            if (this._isAdShowing()) return; // Ads play in the same element; re-checked when the video resumes
+            if (this.silenceSkipper.silent) return; // The raised rate is intended; the base rate comes back with the sound
+            // Mid-ramp the rate to hold is the current step, not the final target
+            let target = enforcement.target;
+            if (enforcement.origin === 'script' && this.ramp && this.ramp.video === video) {
+                target = this.ramp.rate;
+            } else if (enforcement.origin === 'script' && this.rateOverride !== null) {
+                target = this.rateOverride;
+            }
+            if (Math.abs(video.playbackRate - target) <= 0.01) return;
+
+            const maxAttempts = this.settingsManager.get('maxEnforcements');
+            if (enforcement.attempts >= maxAttempts) {
+                if (enforcement.attempts === maxAttempts) {
+                    enforcement.attempts++; // Warn only once
+                    this.logger.warn(`Rate keeps being reset (${reason}); stopped re-applying ${enforcement.target}x after ${maxAttempts} attempts.`);
+                }
+                return;
+            }
+            enforcement.attempts++;
+            this.logger.log(`Rate is ${video.playbackRate}x after ${reason}; re-applying ${target}x (${enforcement.attempts}/${maxAttempts}).`);
+            this._applyRate(video, target, enforcement.origin);
+        }
+
+        /**
+         * YouTube's player only knows rates up to 2x and snaps anything else back to its own rate.
+         * For a short while after setting a custom rate, re-apply it whenever that happens.
+         */
+        _guardAgainstClamping(video, targetSpeed, origin) {
+            this._releaseClampGuard();
+            let reapplies = 0;
+            const handler = () => {
+                if (Math.abs(video.playbackRate - targetSpeed) <= 0.01) return;
+                if (this._isRecentUserInput()) {
+                    this._releaseClampGuard(); // The user picked another speed, let it be
+                    return;
+                }
+                if (reapplies >= CONFIG.MAX_CLAMP_REAPPLIES) {
+                    this.logger.warn(`YouTube keeps resetting the rate to ${video.playbackRate}x, giving up on ${targetSpeed}x.`);
+                    this._releaseClampGuard();
+                    return;
+                }
+                reapplies++;
+                this.logger.debug(`Rate clamped to ${video.playbackRate}x by player, re-applying ${targetSpeed}x (${reapplies}/${CONFIG.MAX_CLAMP_REAPPLIES}).`);
+                this._expectRate(targetSpeed, origin);
+                video.playbackRate = targetSpeed;
+            };
+            video.addEventListener('ratechange', handler);
+            const timeoutId = this.timer.setTimeout(() => this._releaseClampGuard(), CONFIG.TIMERS.CLAMP_GUARD_WINDOW);
+            this.clampGuard = { video, handler, timeoutId };
+        }
+
+        _releaseClampGuard() {
+            if (!this.clampGuard) return;
+            this.clampGuard.video.removeEventListener('ratechange', this.clampGuard.handler);
+            this.timer.clearTimeout(this.clampGuard.timeoutId);
+            this.clampGuard = null;
+        }
+
+        /**
+         * Records a click or key press so the rate change it causes can be attributed to the user.
+         */
+        noteUserInput() {
+            this.lastUserInputAt = Date.now();
+        }
+
+        _isRecentUserInput() {
+            return Date.now() - this.lastUserInputAt < CONFIG.TIMERS.USER_INPUT_WINDOW;
+        }
+
+        _attachVideoListeners(video) {
+            if (this.videoListeners && this.videoListeners.video === video) return;
+            this._detachVideoListeners();
+            const handlers = {
+                ratechange: () => this._onRateChange(video),
+                loadstart: () => { this.lastLoadAt = Date.now(); },
+                loadedmetadata: () => this._enforce('new metadata (quality switch, ad or player reload)')
+            };
+            Object.entries(handlers).forEach(([type, handler]) => video.addEventListener(type, handler));
+            this.videoListeners = { video, handlers };
+            this._attachPlayerStateListener();
+        }
+
+        _attachPlayerStateListener() {
+            const player = getPlayer();
+            if (!player || (this.playerStateListener && this.playerStateListener.player === player)) return;
+            this._detachPlayerStateListener();
+            const onStateChange = (state) => {
+                this._checkVideo(this._queryMainVideo()); // The player may have swapped its element or source
+                if (state === 1) this._enforce('player state change'); // 1 = playing, e.g. after an ad break
+            };
+            // The player calls this from the page, which can't call a sandbox function in Firefox
+            const handler = typeof exportFunction === 'function' ? exportFunction(onStateChange, pageWindow) : onStateChange;
+            player.addEventListener('onStateChange', handler);
+            this.playerStateListener = { player, handler };
+        }
+
+        _detachPlayerStateListener() {
+            if (!this.playerStateListener) return;
+            const { player, handler } = this.playerStateListener;
+            if (typeof player.removeEventListener === 'function') player.removeEventListener('onStateChange', handler);
+            this.playerStateListener = null;
+        }
+
+        _detachVideoListeners() {
+            if (!this.videoListeners) return;
+            const { video, handlers } = this.videoListeners;
+            Object.entries(handlers).forEach(([type, handler]) => video.removeEventListener(type, handler));
+            this.videoListeners = null;
+        }
+
+        _classifyRateChange(rate) {
+            const now = Date.now();
+            if (this.expectedRate && Math.abs(rate - this.expectedRate.rate) <= 0.01 && now - this.expectedRate.at < CONFIG.TIMERS.RATE_MATCH_WINDOW) {
+                return this.expectedRate.origin;
+            }
+            if (now - this.lastLoadAt < CONFIG.TIMERS.LOAD_SETTLE_WINDOW) return 'player';
+            return this._isRecentUserInput() ? 'user' : 'player';
+        }
+
+        _onRateChange(video) {
+            const rate = video.playbackRate;
+            const origin = this._classifyRateChange(rate);
+            this.rateOrigin = origin;
+            if (origin === 'script') {
+                this.lastScriptRate = rate;
+            } else if (origin === 'user') {
+                this._setUserRate(rate);
+                this.logger.log(`Speed changed to ${rate}x by the user; it will be kept for this video.`);
+            } else if (origin === 'player') {
+                this.logger.log(`Rate changed to ${rate}x by the player.`);
+                this._enforce('rate change by the player');
+            } else {
+                this.logger.debug(`Rate changed to ${rate}x by ${origin}.`);
+            }
+        }
+
+        _setUserRate(rate) {
+            this.userRate = rate;
+            this.rateOrigin = 'user';
+            this.lastScriptRate = null;
+            this._holdRate(rate, 'user');
+            if (this.onUserRateChange) this.onUserRateChange(rate);
+        }
+
+        /**
+         * Forgets who set the rate. Called when a different video starts.
+         */
+        resetRateTracking() {
+            this.expectedRate = null;
+            this.rateOrigin = null;
+            this.userRate = null;
+            this.enforcement = null;
+            this.rateOverride = null;
+            this.silenceSkipper.detach(); // Don't hand a raised silence rate to the next video
+            this._cancelRamp();
+        }
+
+        cleanup() {
+            this.cleanupVideoTracking();
+            this.videoWaiters.clear();
+            this.silenceSkipper.cleanup();
+            this._cancelRamp();
+            this._releaseClampGuard();
+            this._detachVideoListeners();
+            this._detachPlayerStateListener();
+            this.resetRateTracking();
+            this.currentVideo = null;
+            this.lastVideoSrc = null;
+        }
+    }
+
+    // ===============================
+    // SILENCE SKIPPING
+    // ===============================
+    /**
+     * Speeds through silent stretches of the current video. The element's audio is routed through a
+     * Web Audio analyser and the rate is raised to `silenceSpeed` once the level stays below
+     * `silenceThreshold` for `silenceMinDuration`, then put back when sound returns.
+     */
+    class SilenceSkipper {
+        constructor(logger, timer, settingsManager, videoManager) {
+            this.logger = logger;
+            this.timer = timer;
+            this.settingsManager = settingsManager;
+            this.videoManager = videoManager;
+            this.audioContext = null;
+            // A media element can only ever get one source node and it can't be detached again,
+            // so the graph is kept per element and reused when the same element is attached again
+            this.graphs = new WeakMap(); // video -> { source, analyser, samples }
+            this.video = null;
+            this.intervalId = null;
+            this.gestureListener = null;
+            this.quietSince = null; // When the level last dropped below the threshold
+            this.silent = false; // Whether the rate is currently raised
+            this.baseRate = null; // Rate to return to when sound resumes
+            this.level = null; // Last measured level in dBFS
+        }
+
+        /**
+         * Starts watching `video`, replacing any previously watched element.
+         * @param {HTMLVideoElement} video
+         */
+        attach(video) {
+            if (this.video === video) return;
+            this.detach();
+            this.video = video;
+            const AudioContextClass = window.AudioContext || window.webkitAudioContext;
+            if (!AudioContextClass) {
+                this.logger.warn('Web Audio is not available, silence skipping is disabled.');
+                return;
+            }
+            if (!this.audioContext) this.audioContext = new AudioContextClass();
+            this._startWhenRunning();
+        }
+
+        /**
+         * Browsers keep an AudioContext suspended until the user interacts with the page. Routing the
+         * element through a suspended context would mute it, so the graph is only built once it runs.
+         */
+        _startWhenRunning() {
+            const video = this.video;
+            this.audioContext.resume().catch(() => {}).then(() => {
+                if (this.video !== video) return; // Detached or replaced meanwhile
+                if (this.audioContext.state === 'running') {
+                    this._start(video);
+                    return;
+                }
+                this.logger.debug('Audio context suspended, silence skipping waits for a click or key press.');
+                this._removeGestureListener();
+                const listener = () => {
+                    this._removeGestureListener();
+                    if (this.video === video) this._startWhenRunning();
+                };
+                document.addEventListener('pointerdown', listener, true);
+                document.addEventListener('keydown', listener, true);
+                this.gestureListener = listener;
+            });
+        }
+
+        _removeGestureListener() {
+            if (!this.gestureListener) return;
+            document.removeEventListener('pointerdown', this.gestureListener, true);
+            document.removeEventListener('keydown', this.gestureListener, true);
+            this.gestureListener = null;
+        }
+
+        _start(video) {
+            let graph = this.graphs.get(video);
+            if (!graph) {
+                try {
+                    const source = this.audioContext.createMediaElementSource(video);
+                    const analyser = this.audioContext.createAnalyser();
+                    analyser.fftSize = 2048;
+                    source.connect(analyser);
+                    source.connect(this.audioContext.destination); // Keep the audio audible
+                    graph = { source, analyser, samples: new Float32Array(analyser.fftSize) };
+                    this.graphs.set(video, graph);
+                } catch (error) {
+                    this.logger.warn(`Could not analyse the video's audio: ${error.message}`);
+                    return;
+                }
+            }
+            this.intervalId = this.timer.setInterval(() => this._sample(video, graph), CONFIG.TIMERS.SILENCE_SAMPLE_INTERVAL);
+            this.logger.debug('Silence skipping attached to the video.');
+        }
+
+        _sample(video, graph) {
+            if (video.paused || video.ended || this.videoManager._isAdShowing()) {
+                this.quietSince = null;
+                return;
+            }
+            graph.analyser.getFloatTimeDomainData(graph.samples);
+            let sum = 0;
+            for (let i = 0; i < graph.samples.length; i++) sum += graph.samples[i] * graph.samples[i];
+            const rms = Math.sqrt(sum / graph.samples.length);
+            this.level = rms > 0 ? 20 * Math.log10(rms) : -Infinity;
+
+            const { silenceThreshold, silenceMinDuration, silenceSpeed } = this.settingsManager.settings;
+            if (this.silent && Math.abs(video.playbackRate - silenceSpeed) > 0.01) {
+                // The user, a rule or the player picked another rate meanwhile; that becomes the base
+                this.silent = false;
+                this.baseRate = null;
+                this.quietSince = null;
+                this.logger.debug(`Rate changed to ${video.playbackRate}x during silence, no longer skipping.`);
+            }
+
+            if (this.level < silenceThreshold) {
+                if (this.quietSince === null) this.quietSince = Date.now();
+                if (!this.silent && Date.now() - this.quietSince >= silenceMinDuration && video.playbackRate < silenceSpeed) {
+                    this.silent = true;
+                    this.baseRate = video.playbackRate;
+                    this.logger.debug(`Silence (${this.level.toFixed(1)} dBFS), speeding up to ${silenceSpeed}x.`);
+                    this.videoManager.applyTransientRate(silenceSpeed, 'silence');
+                }
+            } else {
+                this.quietSince = null;
+                if (this.silent) this._restore('sound resumed');
+            }
+        }
+
+        _restore(reason) {
+            const video = this.video;
+            if (video && this.baseRate !== null && Math.abs(video.playbackRate - this.settingsManager.get('silenceSpeed')) <= 0.01) {
+                this.logger.debug(`Back to ${this.baseRate}x (${reason}).`);
+                this.videoManager.applyTransientRate(this.baseRate, 'silence');
+            }
+            this.silent = false;
+            this.baseRate = null;
+        }
+
+        /**
+         * Stops watching the current element and puts back its rate if a silent stretch was being skipped.
+         */
+        detach() {
+            if (this.silent) this._restore('detached');
+            this._removeGestureListener();
+            if (this.intervalId !== null) {
+                this.timer.clearInterval(this.intervalId);
+                this.intervalId = null;
+            }
+            this.video = null;
+            this.quietSince = null;
+            this.level = null;
+        }
+
+        getState() {
+            return {
+                attached: this.intervalId !== null,
+                audioContext: this.audioContext ? this.audioContext.state : null,
+                level: this.level === null ? null : Math.round(this.level * 10) / 10,
+                silent: this.silent,
+                baseRate: this.baseRate
+            };
+        }
+
+        cleanup() {
+            // The context stays open: elements routed through it would go silent if it were closed
+            this.detach();
+        }
+    }
+
+    // ===============================
+    // CHAPTER SPEEDS
+    // ===============================
+    /**
+     * Plays chapters whose title matches a `chapterRules` pattern at that rule's speed and returns
+     * to the speed that was playing before once a chapter without a rule starts.
+     */
+    class ChapterSpeeds {
+        constructor(logger, settingsManager, videoDetector, videoManager) {
+            this.logger = logger;
+            this.settingsManager = settingsManager;
+            this.videoDetector = videoDetector;
+            this.videoManager = videoManager;
+            this.active = null; // { chapter, rule } for the chapter being played
+            this.appliedSpeed = null; // Rate set for the active chapter rule
+            this.baseRate = null; // Rate to return to after chapters with a rule
+            this.overridden = false; // The rate was changed by someone else during the current chapter
+        }
+
+        /**
+         * Called on every `timeupdate` of the main video.
+         * @param {HTMLVideoElement} video
+         * @param {boolean} canApply false when the user chose the rate or the script leaves this video alone
+         */
+        onTimeUpdate(video, canApply) {
+            const rules = this.settingsManager.get('chapterRules');
+            if (rules.length === 0 && !this.active) return;
+            if (!canApply) {
+                // Forget the chapter without restoring anything; the rate isn't ours to change
+                if (this.appliedSpeed !== null) this.videoManager.setRateOverride(null);
+                this.active = null;
+                this.appliedSpeed = null;
+                this.baseRate = null;
+                this.overridden = false;
+                return;
+            }
+            if (this.videoManager._isAdShowing()) return;
+
+            const chapter = this.videoDetector.getCurrentChapter(video.currentTime);
+            const chapterKey = chapter ? `${chapter.start}|${chapter.title}` : null;
+            const activeKey = this.active && this.active.chapter ? `${this.active.chapter.start}|${this.active.chapter.title}` : null;
+
+            if (this.appliedSpeed !== null && !this.overridden && Math.abs(video.playbackRate - this.appliedSpeed) > 0.01) {
+                if (this.videoManager.rateOrigin === 'script') {
+                    // The default or a rule changed (e.g. the video just loaded); it is the new base
+                    this.baseRate = video.playbackRate;
+                    this.videoManager.applyTransientRate(this.appliedSpeed, 'chapter');
+                } else {
+                    // The user or the player picked a rate for this chapter; keep it until the chapter ends
+                    this.overridden = true;
+                    this.baseRate = null;
+                    this.videoManager.setRateOverride(null);
+                    this.logger.debug(`Rate changed to ${video.playbackRate}x during chapter '${this.active.chapter.title}', leaving it.`);
+                }
+            }
+            if (chapterKey === activeKey) return;
+
+            const rule = chapter ? rules.find(({ pattern }) => new RegExp(pattern, 'i').test(chapter.title)) || null : null;
+            const wasApplied = this.appliedSpeed !== null && !this.overridden;
+            this.active = chapter ? { chapter, rule } : null;
+            this.overridden = false;
+
+            if (rule) {
+                if (!wasApplied) this.baseRate = video.playbackRate;
+                this.appliedSpeed = rule.speed;
+                this.logger.log(`Chapter '${chapter.title}' matches '${rule.pattern}', playing at ${rule.speed}x.`);
+                this.videoManager.setRateOverride(rule.speed);
+                this.videoManager.applyTransientRate(rule.speed, 'chapter');
+            } else {
+                this._restore(chapter ? `chapter '${chapter.title}'` : 'no chapter');
+            }
+        }
+
+        _restore(reason) {
+            if (this.appliedSpeed !== null && this.baseRate !== null && !this.overridden) {
+                this.logger.log(`Back to ${this.baseRate}x for ${reason}.`);
+                this.videoManager.applyTransientRate(this.baseRate, 'chapter');
+            }
+            if (this.appliedSpeed !== null) this.videoManager.setRateOverride(null);
+            this.appliedSpeed = null;
+            this.baseRate = null;
+        }
+
+        /**
+         * Forgets the current chapter, putting back the base speed if a chapter rule raised it.
+         */
+        reset() {
+            this._restore('a new video');
+            this.active = null;
+            this.overridden = false;
+        }
+
+        getState() {
+            if (!this.active) return null;
+            return {
+                title: this.active.chapter.title,
+                start: this.active.chapter.start,
+                source: this.active.chapter.source,
+                rule: this.active.rule,
+                baseRate: this.baseRate
+            };
+        }
+    }
+
+    // ===============================
+    // PLAYER OVERLAY
+    // ===============================
+    class SpeedOverlay {
+        constructor(timer) {
+            this.timer = timer;
+            this.element = null;
+            this.hideTimeoutId = null;
+        }
+
+        _ensureElement() {
+            const player = document.getElementById('movie_player');
+            if (!player) return null;
+            if (this.element && player.contains(this.element)) return this.element;
+
+            this.element = document.createElement('div');
+            this.element.className = 'ytds-speed-overlay';
+            Object.assign(this.element.style, {
+                position: 'absolute',
+                top: '12%',
+                left: '50%',
+                transform: 'translateX(-50%)',
+                padding: '8px 16px',
+                borderRadius: '4px',
+                background: 'rgba(0, 0, 0, 0.7)',
+                color: '#fff',
+                font: '500 20px Roboto, Arial, sans-serif',
+                zIndex: '60',
+                pointerEvents: 'none',
+                opacity: '0',
+                transition: 'opacity 0.2s ease'
+            });
+            player.appendChild(this.element);
+            return this.element;
+        }
+
+        show(text) {
+            const element = this._ensureElement();
+            if (!element) return;
+            element.textContent = text;
+            element.style.opacity = '1';
+            if (this.hideTimeoutId) this.timer.clearTimeout(this.hideTimeoutId);
+            this.hideTimeoutId = this.timer.setTimeout(() => {
+                element.style.opacity = '0';
+                this.hideTimeoutId = null;
+            }, CONFIG.TIMERS.OVERLAY_DURATION);
+        }
+
+        cleanup() {
+            if (this.element) this.element.remove();
+            this.element = null;
+            this.hideTimeoutId = null;
+        }
+    }
+
+    // ===============================
+    // SETTINGS PANEL
+    // ===============================
+    class SettingsPanel {
+        constructor(settingsManager, logger, mainApp) {
+            this.settingsManager = settingsManager;
+            this.logger = logger;
+            this.mainApp = mainApp;
+            this.host = null;
+            this.root = null;
+            this.controls = {};
+            this.toggles = [ // Labelled by `toggle.<key>` messages
+                'enableShorts', 'enablePremiere', 'enableMusic', 'enableEmbeds', 'carryManualSpeed', 'rememberVideoSpeed',
+                'enforceSpeed', 'skipSilence', 'rampSpeed', 'adaptiveCaptions', 'enableHotkeys', 'debug'
+            ];
+        }
+
+        isOpen() {
+            return !!(this.host && this.host.isConnected);
+        }
+
+        open() {
+            if (!this.isOpen()) this._build();
+            this.refresh();
+            this.controls.dialog.focus();
+        }
+
+        close() {
+            if (this.host) this.host.remove();
+            this.host = null;
+            this.root = null;
+            this.controls = {};
+        }
+
+        toggle() {
+            if (this.isOpen()) this.close(); else this.open();
+        }
+
+        _build() {
+            this.host = createElement('div', { id: 'ytds-settings-host' });
+            this.root = this.host.attachShadow({ mode: 'open' }); // Keeps YouTube's CSS out and ours in
+            // Stop YouTube's shortcuts (k, j, l, f...) from firing while typing in the panel
+            this.host.addEventListener('keydown', (e) => {
+                if (e.key === 'Escape') this.close();
+                e.stopPropagation();
+            });
+
+            const style = createElement('style', { textContent: SettingsPanel.STYLES });
+            const c = this.controls;
+
+            c.speedInput = createElement('input', {
+                type: 'number', min: CONFIG.SPEED_LIMITS.MIN, max: CONFIG.SPEED_LIMITS.MAX, step: '0.05',
+                'aria-label': t('label.defaultSpeed'), onChange: () => this._setSpeed(c.speedInput.value)
+            });
+            c.favoriteChips = createElement('div', { className: 'chips' });
+            c.favoritesInput = createElement('input', {
+                type: 'text', 'aria-label': t('label.favorites'), onChange: () => this._setFavorites(c.favoritesInput.value)
+            });
+            c.stepInput = createElement('input', {
+                type: 'number', min: '0.05', max: '4', step: '0.05',
+                'aria-label': t('label.speedStep'), onChange: () => this._setStep(c.stepInput.value)
+            });
+            c.error = createElement('div', { className: 'error', role: 'alert' });
+            c.toggleInputs = {};
+            c.skipSpeedInputs = {};
+
+            const skipSpeedRows = ['shorts', 'live', 'premiere', 'music'].map(type => {
+                const input = createElement('input', {
+                    type: 'number', min: CONFIG.SPEED_LIMITS.MIN, max: CONFIG.SPEED_LIMITS.MAX, step: '0.05',
+                    onChange: () => this._setSkipSpeed(type, input.value)
+                });
+                c.skipSpeedInputs[type] = input;
+                return createElement('label', { className: 'row' }, [createElement('span', { textContent: t(`videoType.${type}`) }), input]);
+            });
+
+            c.numberInputs = {};
+            const numberRow = ({ key, step }) => {
+                const { min, max } = CONFIG.SETTINGS_SCHEMA[key];
+                const label = t(`setting.${key}`);
+                const input = createElement('input', { type: 'number', min, max, step, onChange: () => this._setNumberSetting(key, label, input.value) });
+                c.numberInputs[key] = input;
+                return createElement('label', { className: 'row' }, [createElement('span', { textContent: label }), input]);
+            };
+            const silenceRows = [
+                { key: 'silenceThreshold', step: '1' },
+                { key: 'silenceMinDuration', step: '100' },
+                { key: 'silenceSpeed', step: '0.25' }
+            ].map(numberRow);
+            c.liveModeSelect = createElement('select', { 'aria-label': t('label.liveMode'), onChange: () => this._setLiveMode(c.liveModeSelect.value) },
+                ['skip', 'speed', 'catchUp'].map(value => createElement('option', { value, textContent: t(`liveMode.${value}`) }))
+            );
+            c.languageSelect = createElement('select', { 'aria-label': t('label.language'), onChange: () => this._setLanguage(c.languageSelect.value) }, [
+                createElement('option', { value: 'auto', textContent: t('language.auto') }),
+                ...Object.entries(LANGUAGE_NAMES).map(([value, name]) => createElement('option', { value, textContent: name }))
+            ]);
+            const liveRows = [
+                { key: 'liveCatchUpSpeed', step: '0.05' },
+                { key: 'liveCatchUpTarget', step: '1' }
+            ].map(numberRow);
+            const captionRows = [
+                { key: 'captionTargetWps', step: '0.25' },
+                { key: 'captionMinSpeed', step: '0.05' },
+                { key: 'captionMaxSpeed', step: '0.05' }
+            ].map(numberRow);
+            const rampRows = [
+                { key: 'rampStartSpeed', step: '0.05' },
+                { key: 'rampDuration', step: '5' },
+                { key: 'rampSteps', step: '1' }
+            ].map(numberRow);
+
+            c.musicThresholdInput = createElement('input', {
+                type: 'number', min: CONFIG.SETTINGS_SCHEMA.musicThreshold.min, max: CONFIG.SETTINGS_SCHEMA.musicThreshold.max, step: '5',
+                onChange: () => this._setMusicThreshold(c.musicThresholdInput.value)
+            });
+            c.musicKeywordInputs = {};
+            const musicKeywordRows = ['strong', 'weak', 'negative'].map(list => {
+                const input = createElement('input', { type: 'text', onChange: () => this._setMusicKeywords(list, input.value) });
+                c.musicKeywordInputs[list] = input;
+                return createElement('label', { className: 'row' }, [createElement('span', { textContent: t(`musicKeywords.${list}`) }), input]);
+            });
+
+            c.rulesInput = createElement('textarea', {
+                rows: '6', spellcheck: 'false', 'aria-label': t('label.speedRules'),
+                placeholder: '[{ "name": "Long lectures", "minMinutes": 40, "action": "speed", "speed": 2 }]'
+            });
+            c.rulesError = createElement('div', { className: 'error', role: 'alert' });
+            c.chapterRulesInput = createElement('textarea', {
+                rows: '4', spellcheck: 'false', 'aria-label': t('label.chapterRules'),
+                placeholder: 'sponsor = 4\nintro|recap = 2\nq&a = 1'
+            });
+            c.chapterRulesError = createElement('div', { className: 'error', role: 'alert' });
+
+            const toggleRows = this.toggles.map(key => {
+                const checkbox = createElement('input', { type: 'checkbox', onChange: () => this._setToggle(key, checkbox.checked) });
+                c.toggleInputs[key] = checkbox;
+                return createElement('label', { className: 'row' }, [createElement('span', { textContent: t(`toggle.${key}`) }), checkbox]);
+            });
+
+            c.dialog = createElement('div', { className: 'dialog', role: 'dialog', 'aria-modal': 'true', 'aria-labelledby': 'ytds-title', tabindex: '-1' }, [
+                createElement('div', { className: 'header' }, [
+                    createElement('h2', { id: 'ytds-title', textContent: t('panel.title') }),
+                    createElement('button', { className: 'close', 'aria-label': t('panel.close'), textContent: '✕', onClick: () => this.close() })
+                ]),
+                createElement('div', { className: 'section', textContent: t('section.speed') }),
+                createElement('label', { className: 'row' }, [createElement('span', { textContent: t('label.defaultSpeed') }), c.speedInput]),
+                c.favoriteChips,
+                createElement('label', { className: 'row' }, [createElement('span', { textContent: t('label.favorites') }), c.favoritesInput]),
+                createElement('label', { className: 'row' }, [createElement('span', { textContent: t('label.speedStep') }), c.stepInput]),
+                c.error,
+                createElement('div', { className: 'section', textContent: t('section.behavior') }),
+                ...toggleRows,
+                createElement('label', { className: 'row' }, [createElement('span', { textContent: t('label.language') }), c.languageSelect]),
+                createElement('div', { className: 'section', textContent: t('section.live') }),
+                createElement('label', { className: 'row' }, [createElement('span', { textContent: t('label.liveMode') }), c.liveModeSelect]),
+                ...liveRows,
+                createElement('div', { className: 'section', textContent: t('section.skipSpeeds') }),
+                ...skipSpeedRows,
+                createElement('div', { className: 'section', textContent: t('section.captions') }),
+                ...captionRows,
+                createElement('div', { className: 'section', textContent: t('section.ramp') }),
+                ...rampRows,
+                createElement('div', { className: 'section', textContent: t('section.silence') }),
+                ...silenceRows,
+                createElement('div', { className: 'section', textContent: t('section.rules') }),
+                c.rulesInput,
+                c.rulesError,
+                createElement('div', { className: 'buttons' }, [
+                    createElement('button', { className: 'action', textContent: t('button.saveRules'), onClick: () => this._setRules(c.rulesInput.value) })
+                ]),
+                createElement('div', { className: 'section', textContent: t('section.chapters') }),
+                c.chapterRulesInput,
+                c.chapterRulesError,
+                createElement('div', { className: 'buttons' }, [
+                    createElement('button', { className: 'action', textContent: t('button.saveChapterRules'), onClick: () => this._setChapterRules(c.chapterRulesInput.value) })
+                ]),
+                createElement('div', { className: 'section', textContent: t('section.music') }),
+                createElement('label', { className: 'row' }, [createElement('span', { textContent: t('label.musicThreshold') }), c.musicThresholdInput]),
+                ...musicKeywordRows,
+                createElement('div', { className: 'section', textContent: t('section.backup') }),
+                createElement('div', { className: 'row' }, [
+                    createElement('span', { textContent: t('label.backup') }),
+                    createElement('div', { className: 'buttons' }, [
+                        createElement('button', { className: 'action', textContent: t('button.export'), onClick: () => this.mainApp.exportSettings() }),
+                        createElement('button', { className: 'action', textContent: t('button.import'), onClick: () => this.mainApp.importSettingsFromFile() })
+                    ])
+                ]),
+                createElement('div', { className: 'section', textContent: t('section.updates') }),
+                createElement('div', { className: 'row' }, [
+                    createElement('span', { textContent: t('label.version', { version: (typeof GM_info !== 'undefined' && GM_info.script && GM_info.script.version) || t('label.versionUnknown') }) }),
+                    createElement('button', { className: 'action', textContent: t('menu.checkUpdates'), onClick: () => this.mainApp.checkForUpdates() })
+                ])
+            ]);
+
+            const backdrop = createElement('div', { className: 'backdrop', onClick: (e) => { if (e.target === backdrop) this.close(); } }, [c.dialog]);
+            this.root.append(style, backdrop);
+            document.body.appendChild(this.host);
+        }
+
+        /**
+         * Syncs every control with the current settings. Safe to call while closed.
+         */
+        refresh() {
+            if (!this.isOpen()) return;
+            const c = this.controls;
+            const speed = this.settingsManager.get('speed');
+            c.speedInput.value = String(speed);
+            c.favoritesInput.value = this.settingsManager.get('favoriteSpeeds').map(formatNumber).join(' ');
+            c.stepInput.value = String(this.settingsManager.get('speedStep'));
+            Object.entries(c.toggleInputs).forEach(([key, checkbox]) => {
+                checkbox.checked = !!this.settingsManager.get(key);
+            });
+            const skipSpeeds = this.settingsManager.get('skipSpeeds');
+            Object.entries(c.skipSpeedInputs).forEach(([type, input]) => {
+                input.value = String(skipSpeeds[type]);
+            });
+            if (this.root.activeElement !== c.rulesInput) { // Don't throw away unsaved edits
+                const rules = this.settingsManager.get('speedRules');
+                c.rulesInput.value = rules.length > 0 ? JSON.stringify(rules, null, 2) : '';
+            }
+            if (this.root.activeElement !== c.chapterRulesInput) {
+                c.chapterRulesInput.value = this.settingsManager.get('chapterRules').map(({ pattern, speed }) => `${pattern} = ${speed}`).join('\n');
+            }
+            c.liveModeSelect.value = this.settingsManager.get('liveMode');
+            c.languageSelect.value = this.settingsManager.get('language');
+            Object.entries(c.numberInputs).forEach(([key, input]) => {
+                input.value = String(this.settingsManager.get(key));
+            });
+            c.musicThresholdInput.value = String(this.settingsManager.get('musicThreshold'));
+            const musicKeywords = this.settingsManager.get('musicKeywords');
+            Object.entries(c.musicKeywordInputs).forEach(([list, input]) => {
+                input.value = musicKeywords[list].join(', ');
+            });
+            c.favoriteChips.replaceChildren(...this.settingsManager.get('favoriteSpeeds').map(favorite =>
+                createElement('button', {
+                    className: `chip${favorite === speed ? ' active' : ''}`,
+                    'aria-pressed': String(favorite === speed),
+                    textContent: formatSpeed(favorite),
+                    onClick: () => this._setSpeed(favorite)
+                })
+            ));
+        }
+
+        _speedLimits() {
+            return { min: formatSpeed(CONFIG.SPEED_LIMITS.MIN), max: formatSpeed(CONFIG.SPEED_LIMITS.MAX) };
+        }
+
+        _showError(message) {
+            this.controls.error.textContent = message;
+            this.refresh(); // Put the rejected field back to its stored value
+        }
+
+        async _setSpeed(input) {
+            const speed = typeof input === 'number' ? input : parseSpeed(input);
+            if (speed === null) {
+                this._showError(t('error.speedRange', this._speedLimits()));
+                return;
+            }
+            this.controls.error.textContent = '';
+            await this.settingsManager.updateSetting('speed', speed);
+            this.logger.log(`Speed set to ${speed}x via settings panel.`);
+            this.refresh();
+            this.mainApp.triggerSpeedApplication({ overrideUserRate: true });
+        }
+
+        async _setFavorites(input) {
+            const parts = input.split(/[\s;]+/).filter(Boolean);
+            const speeds = parts.map(parseSpeed);
+            if (parts.length === 0 || speeds.includes(null)) {
+                this._showError(t('error.favoritesFormat', this._speedLimits()));
+                return;
+            }
+            if (!await this.settingsManager.updateSetting('favoriteSpeeds', [...new Set(speeds)].sort((a, b) => a - b))) {
+                this._showError(t('error.tooManyFavorites', { count: CONFIG.SETTINGS_SCHEMA.favoriteSpeeds.maxItems }));
+                return;
+            }
+            this.controls.error.textContent = '';
+            this.refresh();
+        }
+
+        async _setStep(input) {
+            const { min, max } = CONFIG.SETTINGS_SCHEMA.speedStep;
+            if (!await this.settingsManager.updateSetting('speedStep', parseFloat(input))) {
+                this._showError(t('error.settingRange', { label: t('label.speedStep'), min: formatNumber(min), max: formatNumber(max) }));
+                return;
+            }
+            this.controls.error.textContent = '';
+            this.refresh();
+        }
+
+        async _setSkipSpeed(type, input) {
+            const speed = parseSpeed(input);
+            if (speed === null || !await this.settingsManager.updateSetting('skipSpeeds', { ...this.settingsManager.get('skipSpeeds'), [type]: speed })) {
+                this._showError(t('error.speedRange', this._speedLimits()));
+                return;
+            }
+            this.controls.error.textContent = '';
+            this.refresh();
+            this.mainApp.triggerSpeedApplication();
+        }
+
+        async _setNumberSetting(key, label, input) {
+            const { min, max } = CONFIG.SETTINGS_SCHEMA[key];
+            if (!await this.settingsManager.updateSetting(key, Number(input))) {
+                this._showError(t('error.settingRange', { label, min: formatNumber(min), max: formatNumber(max) }));
+                return;
+            }
+            this.controls.error.textContent = '';
+            this.refresh();
+        }
+
+        async _setRules(input) {
+            let rules;
+            try {
+                rules = input.trim() ? JSON.parse(input) : [];
+            } catch (error) {
+                this.controls.rulesError.textContent = t('error.rulesJson', { error: error.message });
+                return;
+            }
+            const result = this.settingsManager.validateSetting('speedRules', rules);
+            if (!result.valid) {
+                this.controls.rulesError.textContent = t('error.rulesInvalid', { reason: result.reason });
+                return;
+            }
+            await this.settingsManager.updateSetting('speedRules', result.value);
+            this.controls.rulesError.textContent = '';
+            this.controls.rulesInput.blur();
+            this.refresh();
+            this.mainApp.triggerSpeedApplication();
+        }
+
+        async _setLiveMode(mode) {
+            await this.settingsManager.updateSetting('liveMode', mode);
+            this.refresh();
+            this.mainApp.triggerSpeedApplication();
+        }
+
+        async _setLanguage(language) {
+            await this.settingsManager.updateSetting('language', language);
+            setLanguage(language);
+            // Labels are rendered once, so rebuild the panel in the new language
+            this.close();
+            this.open();
+            this.controls.languageSelect.focus();
+            this._updatePlayerButton();
+        }
+
+        async _setChapterRules(input) {
+            const rules = [];
+            const lines = input.split('\n').map(line => line.trim()).filter(Boolean);
+            for (const line of lines) {
+                const separator = line.lastIndexOf('=');
+                const speed = separator > 0 ? parseSpeed(line.slice(separator + 1)) : null;
+                if (speed === null) {
+                    this.controls.chapterRulesError.textContent = t('error.chapterLine', { line });
+                    return;
+                }
+                rules.push({ pattern: line.slice(0, separator).trim(), speed });
+            }
+            const result = this.settingsManager.validateSetting('chapterRules', rules);
+            if (!result.valid) {
+                this.controls.chapterRulesError.textContent = t('error.chapterRulesInvalid', { reason: result.reason });
+                return;
+            }
+            await this.settingsManager.updateSetting('chapterRules', result.value);
+            this.controls.chapterRulesError.textContent = '';
+            this.controls.chapterRulesInput.blur();
+            this.refresh();
+        }
+
+        async _setMusicThreshold(input) {
+            const { min, max } = CONFIG.SETTINGS_SCHEMA.musicThreshold;
+            if (!await this.settingsManager.updateSetting('musicThreshold', Number(input))) {
+                this._showError(t('error.wholeNumberRange', { label: t('label.musicThreshold'), min: formatNumber(min), max: formatNumber(max) }));
+                return;
+            }
+            this.controls.error.textContent = '';
+            this.refresh();
+            this.mainApp.videoDetector.clearCache(); // Re-score with the new settings
+            this.mainApp.triggerSpeedApplication();
+        }
+
+        async _setMusicKeywords(list, input) {
+            const keywords = [...new Set(input.split(',').map(keyword => keyword.trim()).filter(Boolean))];
+            if (!await this.settingsManager.updateSetting('musicKeywords', { ...this.settingsManager.get('musicKeywords'), [list]: keywords })) {
+                const { maxItems, items } = CONFIG.SETTINGS_SCHEMA.musicKeywords.properties[list];
+                this._showError(t('error.keywords', { count: maxItems, length: items.maxLength }));
+                return;
+            }
+            this.controls.error.textContent = '';
+            this.refresh();
+            this.mainApp.videoDetector.clearCache(); // Re-score with the new settings
+            this.mainApp.triggerSpeedApplication();
+        }
+
+        async _setToggle(key, value) {
+            await this.settingsManager.updateSetting(key, value);
+            if (key === 'debug') {
+                this.mainApp.logger.setEnabled(value);
+            }
+            if (key === 'skipSilence') {
+                this.mainApp.videoManager.syncSilenceSkipping();
+            }
+            this.refresh();
+            this.mainApp.triggerSpeedApplication();
+        }
+
+        /**
+         * Adds the panel button to the player's right controls. The player is rebuilt on some
+         * navigations, so this is called again whenever the page changes.
+         */
+        ensurePlayerButton() {
+            const controls = document.querySelector('#movie_player .ytp-right-controls');
+            if (!controls || controls.querySelector('.ytds-settings-button')) return;
+
+            const svgNS = 'http://www.w3.org/2000/svg';
+            const icon = document.createElementNS(svgNS, 'svg');
+            icon.setAttribute('viewBox', '0 0 36 36');
+            icon.setAttribute('width', '100%');
+            icon.setAttribute('height', '100%');
+            const path = document.createElementNS(svgNS, 'path');
+            path.setAttribute('fill', '#fff');
+            path.setAttribute('d', 'M18 9a11 11 0 0 0-9.53 16.5h19.06A11 11 0 0 0 18 9zm0 2.2a8.8 8.8 0 0 1 7.9 12.1H10.1A8.8 8.8 0 0 1 18 11.2zm4.6 2.6-5.4 5.9a1.6 1.6 0 1 0 2.3 2.2z');
+            icon.appendChild(path);
+
+            const button = createElement('button', {
+                className: 'ytp-button ytds-settings-button',
+                title: t('panel.button'),
+                'aria-label': t('panel.button'),
+                onClick: () => this.toggle()
+            }, [icon]);
+            controls.prepend(button);
+            this.logger.debug('Settings button added to player controls.');
+        }
+
+        _updatePlayerButton() {
+            document.querySelectorAll('.ytds-settings-button').forEach(button => {
+                button.title = t('panel.button');
+                button.setAttribute('aria-label', t('panel.button'));
+            });
+        }
+
+        cleanup() {
+            this.close();
+            document.querySelectorAll('.ytds-settings-button').forEach(button => button.remove());
+        }
+    }
+
+    SettingsPanel.STYLES = `
+        :host { all: initial; }
+        .backdrop { position: fixed; inset: 0; z-index: 2300; display: flex; align-items: center; justify-content: center;
+                    background: rgba(0, 0, 0, 0.5); font: 14px Roboto, Arial, sans-serif; }
+        .dialog { width: min(420px, 90vw); max-height: 85vh; overflow: auto; padding: 16px 24px 20px; border-radius: 12px;
+                  background: #212121; color: #f1f1f1; box-shadow: 0 8px 32px rgba(0, 0, 0, 0.5); outline: none; }
+        .header { display: flex; align-items: center; justify-content: space-between; }
+        h2 { margin: 0; font-size: 18px; font-weight: 500; }
+        .section { margin: 18px 0 6px; color: #aaa; font-size: 12px; letter-spacing: 0.04em; text-transform: uppercase; }
+        .row { display: flex; align-items: center; justify-content: space-between; gap: 12px; padding: 6px 0; cursor: pointer; }
+        input[type=number], input[type=text], select { padding: 6px 8px; border: 1px solid #3f3f3f; border-radius: 6px;
+                                                       background: #121212; color: #f1f1f1; font: inherit; }
+        input[type=number] { width: 90px; }
+        textarea { box-sizing: border-box; width: 100%; padding: 6px 8px; border: 1px solid #3f3f3f; border-radius: 6px;
+                   background: #121212; color: #f1f1f1; font: 12px/1.4 monospace; resize: vertical; }
+        input[type=text] { width: 190px; }
+        input[type=checkbox] { width: 18px; height: 18px; accent-color: #3ea6ff; }
+        .chips { display: flex; flex-wrap: wrap; gap: 6px; padding: 4px 0; }
+        .chip { padding: 4px 10px; border: 0; border-radius: 14px; background: #3f3f3f; color: #f1f1f1; font: inherit; cursor: pointer; }
+        .chip.active { background: #3ea6ff; color: #0f0f0f; }
+        .buttons { display: flex; gap: 8px; }
+        .error { min-height: 1em; color: #ff6b6b; font-size: 12px; }
+        button.action { padding: 6px 12px; border: 0; border-radius: 16px; background: #3f3f3f; color: #f1f1f1; font: inherit; cursor: pointer; }
+        button.close { border: 0; background: none; color: #aaa; font-size: 18px; cursor: pointer; }
+        button:hover { filter: brightness(1.2); }
+    `;
+
+    // ===============================
+    // CAPTION PACING
+    // ===============================
+    /**
+     * Adapts the rate to how fast the captions go by: dense passages slow down, sparse ones speed
+     * up, so the reading rate stays near `captionTargetWps` within the configured speed band.
+     */
+    class CaptionPacer {
+        constructor(logger, settingsManager, videoManager) {
+            this.logger = logger;
+            this.settingsManager = settingsManager;
+            this.videoManager = videoManager;
+            this.reset();
+        }
+
+        /**
+         * Forgets the caption history, e.g. for a new video or after a seek.
+         */
+        reset() {
+            this.previousWords = [];
+            this.samples = []; // { time, words } new words seen at a media time
+            this.lastTime = null;
+            this.smoothedRate = null;
+            this.wordsPerSecond = null;
+        }
+
+        /**
+         * Reads the caption text currently on screen: native text tracks first, then the
+         * caption window YouTube's player draws itself.
+         * @returns {string|null} null if captions are off
+         */
+        _readCaptions(video) {
+            const track = Array.from(video.textTracks || []).find(t => t.mode === 'showing' && t.activeCues);
+            if (track) return Array.from(track.activeCues).map(cue => cue.text || '').join(' ');
+            const container = document.querySelector('#movie_player .ytp-caption-window-container');
+            if (!container) return null;
+            return Array.from(container.querySelectorAll('.ytp-caption-segment')).map(segment => segment.textContent).join(' ');
+        }
+
+        /**
+         * Called on every `timeupdate` of the main video.
+         * @param {HTMLVideoElement} video
+         * @param {boolean} canAdjust false while something else (the user, a ramp, a chapter...) owns the rate
+         */
+        onTimeUpdate(video, canAdjust) {
+            if (!this.settingsManager.get('adaptiveCaptions')) return;
+            const time = video.currentTime;
+            if (this.lastTime !== null && (time < this.lastTime || time - this.lastTime > CONFIG.TIMEUPDATE_MAX_GAP)) {
+                this.reset(); // Seeked
+            }
+            this.lastTime = time;
+
+            const text = this._readCaptions(video);
+            if (text === null) return;
+            const words = text.split(/\s+/).filter(Boolean);
+            // Rolling captions repeat the end of the previous line; only count what's new
+            let overlap = Math.min(this.previousWords.length, words.length);
+            while (overlap > 0 && this.previousWords.slice(-overlap).join(' ') !== words.slice(0, overlap).join(' ')) overlap--;
+            const newWords = words.length - overlap;
+            this.previousWords = words;
+            if (newWords > 0) this.samples.push({ time, words: newWords });
+
+            this.samples = this.samples.filter(sample => time - sample.time <= CONFIG.CAPTION_WINDOW);
+            if (this.samples.length < 2) return;
+            const span = time - this.samples[0].time;
+            if (span < CONFIG.CAPTION_WINDOW / 2) return; // Not enough history for a stable estimate
+            this.wordsPerSecond = this.samples.reduce((total, sample) => total + sample.words, 0) / span;
+
+            const { captionTargetWps, captionMinSpeed, captionMaxSpeed } = this.settingsManager.settings;
+            const low = Math.min(captionMinSpeed, captionMaxSpeed);
+            const high = Math.max(captionMinSpeed, captionMaxSpeed);
+            const desired = Math.min(high, Math.max(low, captionTargetWps / this.wordsPerSecond));
+            this.smoothedRate = this.smoothedRate === null ? video.playbackRate : this.smoothedRate;
+            this.smoothedRate += (desired - this.smoothedRate) * CONFIG.CAPTION_SMOOTHING;
+
+            const rate = Math.round(this.smoothedRate * 20) / 20; // 0.05 steps keep the rate from jittering
+            if (!canAdjust || Math.abs(video.playbackRate - rate) < CONFIG.CAPTION_MIN_CHANGE) return;
+            this.logger.debug(`Captions at ${this.wordsPerSecond.toFixed(2)} words/s, adjusting to ${rate}x.`);
+            this.videoManager.setRateOverride(rate);
+            this.videoManager.applyTransientRate(rate, 'script');
+        }
+
+        getState() {
+            if (!this.settingsManager.get('adaptiveCaptions')) return null;
+            return {
+                wordsPerSecond: this.wordsPerSecond === null ? null : Math.round(this.wordsPerSecond * 100) / 100,
+                targetRate: this.smoothedRate === null ? null : Math.round(this.smoothedRate * 100) / 100
+            };
+        }
+    }
+
+    // ===============================
+    // LIVE CATCH-UP
+    // ===============================
+    /**
+     * For live streams in `catchUp` mode: plays at `liveCatchUpSpeed` while the video is behind the
+     * live edge and drops back to 1x once within `liveCatchUpTarget` seconds of it. Latency is the
+     * distance from the playback position to the end of the seekable range.
+     */
+    class LiveCatchUp {
+        constructor(logger, settingsManager, videoManager) {
+            this.logger = logger;
+            this.settingsManager = settingsManager;
+            this.videoManager = videoManager;
+            this.active = false;
+            this.catchingUp = false;
+            this.latency = null;
+        }
+
+        /**
+         * Starts managing the current live stream. Stays active until deactivate() (new video).
+         */
+        activate() {
+            if (this.active) return;
+            this.active = true;
+            this.catchingUp = false;
+            this.logger.log('Live catch-up mode active.');
+            if (this.videoManager.currentVideo) this.onTimeUpdate(this.videoManager.currentVideo);
+        }
+
+        deactivate() {
+            this.active = false;
+            this.catchingUp = false;
+            this.latency = null;
+        }
+
+        /**
+         * @param {HTMLVideoElement} video
+         * @returns {number|null} Seconds behind the live edge, null if the stream has no seekable range yet
+         */
+        measureLatency(video) {
+            const seekable = video.seekable;
+            if (!seekable || seekable.length === 0) return null;
+            return Math.max(0, seekable.end(seekable.length - 1) - video.currentTime);
+        }
+
+        /**
+         * Called on every `timeupdate` of the main video.
+         * @param {HTMLVideoElement} video
+         */
+        onTimeUpdate(video) {
+            if (!this.active || video.paused || this.videoManager._isAdShowing()) return;
+            if (this.videoManager.userRate !== null) {
+                this.logger.log('Speed changed by the user, live catch-up stopped for this stream.');
+                this.deactivate();
+                return;
+            }
+            this.latency = this.measureLatency(video);
+            if (this.latency === null) return;
+
+            const { liveCatchUpSpeed, liveCatchUpTarget } = this.settingsManager.settings;
+            if (!this.catchingUp && this.latency > liveCatchUpTarget + CONFIG.LIVE_CATCHUP_HYSTERESIS) {
+                this.catchingUp = true;
+                this.logger.log(`${this.latency.toFixed(1)}s behind the live edge, catching up at ${liveCatchUpSpeed}x.`);
+            } else if (this.catchingUp && this.latency <= liveCatchUpTarget) {
+                this.catchingUp = false;
+                this.logger.log(`Caught up (${this.latency.toFixed(1)}s behind the live edge), back to 1x.`);
+            }
+            const rate = this.catchingUp ? liveCatchUpSpeed : 1;
+            if (Math.abs(video.playbackRate - rate) > 0.01) this.videoManager.applyTransientRate(rate, 'script');
+        }
+
+        getState() {
+            if (!this.active) return null;
+            return {
+                latency: this.latency === null ? null : Math.round(this.latency * 10) / 10,
+                catchingUp: this.catchingUp
+            };
+        }
+    }
+
+    // ===============================
+    // DIAGNOSTICS
+    // ===============================
+    /**
+     * Ring buffer of recent log messages, navigations, detected types and speed decisions. It records
+     * whether or not debug mode is on and is kept in storage, so a bug report can cover earlier pages.
+     */
+    class DiagnosticsLog {
+        constructor(timer, settingsManager) {
+            this.timer = timer;
+            this.settingsManager = settingsManager;
+            this.entries = []; // { time, type, message }, oldest first
+            this.unsaved = []; // Entries not yet added to the stored log
+            this.saveTimeoutId = null;
+            this.listeners = [];
+        }
+
+        async load() {
+            const stored = await this.settingsManager.loadDiagnostics();
+            if (Array.isArray(stored)) {
+                // Entries recorded before loading finished are newer than the stored ones
+                this.entries = [...stored, ...this.entries].slice(-CONFIG.DIAGNOSTICS_MAX_ENTRIES);
+            }
+        }
+
+        /**
+         * Records the script's own detection and speed events.
+         */
+        start() {
+            const describe = {
+                videoTypeDetected: ({ type, source, videoId }) => ['detection', `${type} (${source}) for ${videoId}`],
+                speedApplied: ({ speed, source, videoType, videoId }) => ['speed', `${speed === null ? 'rate left to' : `${speed}x from`} ${source} for ${videoType || 'video'} ${videoId}`],
+                speedSkipped: ({ reason, videoType, videoId }) => ['speed', `skipped (${reason}) for ${videoType || 'video'} ${videoId}`],
+                settingsChanged: ({ source, changes }) => ['settings', `${Object.keys(changes).join(', ')} changed (${source})`]
+            };
+            Object.entries(describe).forEach(([name, format]) => {
+                const handler = (event) => this.record(...format(event.detail));
+                document.addEventListener(`${CONFIG.EVENT_PREFIX}${name}`, handler);
+                this.listeners.push({ type: `${CONFIG.EVENT_PREFIX}${name}`, handler });
+            });
+        }
+
+        /**
+         * @param {string} type 'log', 'warn', 'error', 'navigation', 'detection', 'speed' or 'settings'
+         * @param {string} message
+         */
+        record(type, message) {
+            const entry = { time: new Date().toISOString(), type, message: String(message) };
+            this.entries.push(entry);
+            this.unsaved.push(entry);
+            if (this.entries.length > CONFIG.DIAGNOSTICS_MAX_ENTRIES) this.entries.shift();
+            if (this.saveTimeoutId === null) {
+                this.saveTimeoutId = this.timer.setTimeout(() => this.save(), CONFIG.TIMERS.DIAGNOSTICS_SAVE_DELAY);
+            }
+        }
+
+        async save() {
+            if (this.saveTimeoutId !== null) {
+                this.timer.clearTimeout(this.saveTimeoutId);
+                this.saveTimeoutId = null;
+            }
+            if (this.unsaved.length === 0) return;
+            const unsaved = this.unsaved;
+            this.unsaved = [];
+            // Other open tabs save to the same log; add to what they stored instead of overwriting it
+            const stored = await this.settingsManager.loadDiagnostics();
+            const merged = [...(Array.isArray(stored) ? stored : []), ...unsaved]
+                .filter(entry => entry && typeof entry.time === 'string')
+                .sort((a, b) => a.time.localeCompare(b.time))
+                .slice(-CONFIG.DIAGNOSTICS_MAX_ENTRIES);
+            this.entries = [...merged, ...this.unsaved].slice(-CONFIG.DIAGNOSTICS_MAX_ENTRIES); // Plus any recorded while loading
+            await this.settingsManager.saveDiagnostics(merged);
         }
 
-        getVideoType() {
-            if (this.isLiveStream()) return 'live';
-            if (this.isPremiere()) return 'premiere'; // Check before shorts as UI might overlap
-            if (this.isShorts()) return 'shorts';
-            if (this.isMusicVideo()) return 'music';
-            return 'regular';
+        cleanup() {
+            this.listeners.forEach(({ type, handler }) => document.removeEventListener(type, handler));
+            this.listeners = [];
+            this.save();
         }
     }
 
     // ===============================
-    // VIDEO ELEMENT MANAGER
+    // WATCH STATISTICS
     // ===============================
-    class VideoManager {
-        constructor(logger, timer, debouncer) { // Added debouncer
+    /**
+     * Adds up, per day and per channel, how much video was played (media time) and how long that
+     * took (wall-clock time) while the script's speed was in effect.
+     */
+    class StatsTracker {
+        constructor(logger, timer, settingsManager, videoDetector, videoManager) {
             this.logger = logger;
             this.timer = timer;
-            this.debouncer = debouncer; // Store debouncer
-            this.currentVideo = null;
-            this.mutationObs = null;
-            this.lastVideoSrc = null;
+            this.settingsManager = settingsManager;
+            this.videoDetector = videoDetector;
+            this.videoManager = videoManager;
+            this.stats = StatsTracker.empty();
+            this.last = null; // { video, mediaTime, at } from the previous timeupdate
+            this.saveTimeoutId = null;
         }
 
-        async findVideoElement(maxRetries = CONFIG.MAX_RETRIES) {
-            return new Promise((resolve, reject) => {
-                let attempts = 0;
-                const tryFind = () => {
-                    const video = document.querySelector('video.html5-main-video');
-                    if (video && video.src && video.readyState >= 1 && video.duration > 0 && video.offsetParent !== null) { // Check for src, readyState, duration and visibility
-                        if (this.currentVideo !== video || (video.src && this.lastVideoSrc !== video.src)) {
-                            this.logger.debug(`Found active video element (src: ${video.src.substring(0,50)}...).`);
-                            this.currentVideo = video;
-                            this.lastVideoSrc = video.src;
-                        }
-                        resolve(video);
-                        return;
-                    }
-                    attempts++;
-                    if (attempts < maxRetries) {
-                        this.timer.setTimeout(tryFind, CONFIG.TIMERS.RETRY_DELAY + (attempts * 100)); // slight backoff
-                    } else {
-                        this.logger.warn('Video element not found or not ready after multiple retries.');
-                        this.currentVideo = null; // Ensure it's null if not found
-                        this.lastVideoSrc = null;
-                        reject(new Error('Video element not found.'));
-                    }
-                };
-                tryFind();
-            });
+        static empty() {
+            return { since: new Date().toISOString(), days: {}, channels: {} };
         }
 
-        async setPlaybackSpeed(targetSpeed) {
-            try {
-                const video = await this.findVideoElement();
-                if (!video) {
-                    this.logger.warn('No video element available to set speed.');
-                    return false;
-                }
+        async load() {
+            const stored = await this.settingsManager.loadWatchStats();
+            if (stored && typeof stored === 'object' && stored.days && stored.channels) {
+                this.stats = stored;
+            }
+        }
 
-                if (Math.abs(video.playbackRate - targetSpeed) > 0.01) {
-                    const oldSpeed = video.playbackRate;
-                    video.playbackRate = targetSpeed;
-                    // Verify change due to potential YouTube overrides
-                    this.timer.setTimeout(() => {
-                        if (video && Math.abs(video.playbackRate - targetSpeed) > 0.01) {
-                            this.logger.warn(`Speed reverted or failed to set. Current: ${video.playbackRate}, Target: ${targetSpeed}. Retrying once.`);
-                            video.playbackRate = targetSpeed; // Retry
-                        }
-                    }, 100);
-                    this.logger.log(`Playback speed changed from ${oldSpeed.toFixed(2)}x to ${targetSpeed.toFixed(2)}x.`);
-                    return true;
-                } else {
-                    this.logger.debug(`Playback speed already at target ${targetSpeed.toFixed(2)}x.`);
-                    return false;
-                }
-            } catch (error) {
-                this.logger.error(`Failed to set playback speed: ${error.message}`);
-                return false;
+        /**
+         * Called on every `timeupdate` of the main video.
+         * @param {HTMLVideoElement} video
+         * @param {boolean} active Whether the script decided the speed of the current video
+         */
+        onTimeUpdate(video, active) {
+            const now = Date.now();
+            const previous = this.last;
+            this.last = { video, mediaTime: video.currentTime, at: now };
+            if (!active || !previous || previous.video !== video || video.paused || video.seeking) return;
+            if (this.videoManager._isAdShowing()) return;
+
+            const media = video.currentTime - previous.mediaTime;
+            const wall = (now - previous.at) / 1000;
+            // Seeks, stalls and background tab throttling show up as jumps; they aren't playback
+            if (media <= 0 || wall <= 0 || media > CONFIG.TIMEUPDATE_MAX_GAP || wall > CONFIG.TIMEUPDATE_MAX_GAP) return;
+
+            const day = this._dayKey(new Date(now));
+            const dayEntry = this.stats.days[day] || (this.stats.days[day] = { media: 0, wall: 0 });
+            dayEntry.media += media;
+            dayEntry.wall += wall;
+
+            const channel = this.videoDetector.getChannelInfo();
+            if (channel) {
+                const channelEntry = this.stats.channels[channel.key] || (this.stats.channels[channel.key] = { name: '', media: 0, wall: 0 });
+                if (channel.name) channelEntry.name = channel.name;
+                channelEntry.lastDay = day;
+                channelEntry.media += media;
+                channelEntry.wall += wall;
             }
+            this._scheduleSave();
         }
 
-        setupVideoObserver(onVideoChangeCallback) {
-            this.cleanupObserver();
+        _dayKey(date) {
+            const pad = (n) => String(n).padStart(2, '0');
+            return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+        }
 
-            const debouncedCallback = this.debouncer.debounce('videoObserverChange', onVideoChangeCallback, CONFIG.TIMERS.DEBOUNCE_DELAY + 100);
+        _scheduleSave() {
+            if (this.saveTimeoutId !== null) return; // Playback keeps adding; write at most every few seconds
+            this.saveTimeoutId = this.timer.setTimeout(() => this.save(), CONFIG.TIMERS.STATS_SAVE_DELAY);
+        }
 
-            this.mutationObs = new MutationObserver((mutations) => {
-                let videoChanged = false;
-                for (const mutation of mutations) {
-                    if (mutation.type === 'attributes' && mutation.attributeName === 'src' && mutation.target.tagName === 'VIDEO') {
-                        const videoElement = mutation.target;
-                        if (videoElement.src && this.lastVideoSrc !== videoElement.src) {
-                            this.logger.debug(`Video 'src' attribute changed. Old: ${this.lastVideoSrc ? this.lastVideoSrc.substring(0,50) : 'null'}, New: ${videoElement.src.substring(0,50)}`);
-                            this.currentVideo = videoElement;
-                            this.lastVideoSrc = videoElement.src;
-                            videoChanged = true;
-                            break;
-                        }
-                    }
-                    if (mutation.type === 'childList') {
-                        for (const node of mutation.addedNodes) {
-                            if (node.tagName === 'VIDEO' && node.classList.contains('html5-main-video')) {
-                                this.logger.debug('New main video element added to DOM.');
-                                this.currentVideo = node;
-                                this.lastVideoSrc = node.src;
-                                videoChanged = true;
-                                break;
-                            }
-                        }
-                        if (videoChanged) break;
-                    }
-                }
-                if (videoChanged) {
-                    debouncedCallback();
-                }
-            });
+        async save() {
+            if (this.saveTimeoutId !== null) {
+                this.timer.clearTimeout(this.saveTimeoutId);
+                this.saveTimeoutId = null;
+            }
+            const days = Object.keys(this.stats.days).sort();
+            days.slice(0, Math.max(0, days.length - CONFIG.STATS_MAX_DAYS)).forEach(day => delete this.stats.days[day]);
+            // Channels not watched within the kept days go with them, and only the most recent ones are kept at all
+            const oldestDay = days[Math.max(0, days.length - CONFIG.STATS_MAX_DAYS)] || '';
+            Object.entries(this.stats.channels)
+                .map(([key, entry]) => [key, entry.lastDay || ''])
+                .sort(([, a], [, b]) => b.localeCompare(a))
+                .forEach(([key, lastDay], index) => {
+                    if (index >= CONFIG.STATS_MAX_CHANNELS || lastDay < oldestDay) delete this.stats.channels[key];
+                });
+            await this.settingsManager.saveWatchStats(this.stats);
+        }
+
+        /**
+         * @returns {{since: string, total: Object, today: Object, last7Days: Object, days: Object[], channels: Object[]}}
+         *          Each period has `media` and `wall` seconds, `saved` seconds and the `averageSpeed`
+         */
+        getSummary() {
+            const summarize = (entries) => {
+                const media = entries.reduce((total, entry) => total + entry.media, 0);
+                const wall = entries.reduce((total, entry) => total + entry.wall, 0);
+                return { media, wall, saved: media - wall, averageSpeed: wall > 0 ? media / wall : null };
+            };
+            const today = new Date();
+            const weekStart = new Date(today.getFullYear(), today.getMonth(), today.getDate() - 6);
+            const days = Object.entries(this.stats.days).sort(([a], [b]) => b.localeCompare(a));
+            return {
+                since: this.stats.since,
+                total: summarize(days.map(([, entry]) => entry)),
+                today: summarize(days.filter(([day]) => day === this._dayKey(today)).map(([, entry]) => entry)),
+                last7Days: summarize(days.filter(([day]) => day >= this._dayKey(weekStart)).map(([, entry]) => entry)),
+                days: days.map(([day, entry]) => ({ day, ...summarize([entry]) })),
+                channels: Object.entries(this.stats.channels)
+                    .map(([key, entry]) => ({ key, name: entry.name, ...summarize([entry]) }))
+                    .sort((a, b) => b.saved - a.saved)
+            };
+        }
+
+        exportData() {
+            return { format: `${CONFIG.EXPORT_FORMAT}-stats`, exportedAt: new Date().toISOString(), ...this.stats };
+        }
+
+        async reset() {
+            this.stats = StatsTracker.empty();
+            this.last = null;
+            await this.save();
+            this.logger.log('Watch statistics reset.');
+        }
+    }
+
+    /**
+     * Formats seconds as e.g. "2 h 5 min", "12 min" or "40 s" in the active locale.
+     * @param {number} seconds
+     * @returns {string}
+     */
+    function formatDuration(seconds) {
+        const sign = seconds < 0 ? '-' : '';
+        const total = Math.round(Math.abs(seconds));
+        if (total < 60) return sign + t('duration.seconds', { seconds: formatNumber(total) });
+        const hours = Math.floor(total / 3600);
+        const minutes = formatNumber(Math.floor((total % 3600) / 60));
+        return sign + (hours > 0 ? t('duration.hours', { hours: formatNumber(hours), minutes }) : t('duration.minutes', { minutes }));
+    }
+
+    /**
+     * Read-only dialog with the watch statistics, styled like the settings panel.
+     */
+    class StatsDashboard {
+        constructor(statsTracker, logger) {
+            this.statsTracker = statsTracker;
+            this.logger = logger;
+            this.host = null;
+        }
+
+        isOpen() {
+            return !!(this.host && this.host.isConnected);
+        }
 
-            const videoContainer = document.getElementById('movie_player') || document.body; // Fallback to body
-            this.mutationObs.observe(videoContainer, {
-                childList: true,
-                subtree: true,
-                attributes: true,
-                attributeFilter: ['src'], // Primarily watch 'src' on VIDEO tags
-                attributeOldValue: true // Useful for debugging src changes
+        open() {
+            this.close();
+            this.host = createElement('div', { id: 'ytds-stats-host' });
+            const root = this.host.attachShadow({ mode: 'open' });
+            this.host.addEventListener('keydown', (e) => {
+                if (e.key === 'Escape') this.close();
+                e.stopPropagation();
             });
-            this.logger.debug('Video observer attached.');
+            this.body = createElement('div');
+            const dialog = createElement('div', { className: 'dialog', role: 'dialog', 'aria-modal': 'true', 'aria-labelledby': 'ytds-stats-title', tabindex: '-1' }, [
+                createElement('div', { className: 'header' }, [
+                    createElement('h2', { id: 'ytds-stats-title', textContent: t('stats.title') }),
+                    createElement('button', { className: 'close', 'aria-label': t('panel.close'), textContent: '✕', onClick: () => this.close() })
+                ]),
+                this.body,
+                createElement('div', { className: 'section', textContent: t('stats.data') }),
+                createElement('div', { className: 'buttons' }, [
+                    createElement('button', { className: 'action', textContent: t('stats.export'), onClick: () => this.exportJson() }),
+                    createElement('button', { className: 'action', textContent: t('stats.reset'), onClick: () => this.reset() })
+                ])
+            ]);
+            const backdrop = createElement('div', { className: 'backdrop', onClick: (e) => { if (e.target === backdrop) this.close(); } }, [dialog]);
+            root.append(createElement('style', { textContent: SettingsPanel.STYLES + StatsDashboard.STYLES }), backdrop);
+            document.body.appendChild(this.host);
+            this.render();
+            dialog.focus();
+        }
+
+        close() {
+            if (this.host) this.host.remove();
+            this.host = null;
+            this.body = null;
         }
 
+        render() {
+            if (!this.isOpen()) return;
+            const summary = this.statsTracker.getSummary();
+            const speed = (value) => value === null ? '–' : formatSpeed(Math.round(value * 100) / 100);
+            const periodRow = (label, period) => createElement('tr', {}, [
+                createElement('th', { textContent: label }),
+                createElement('td', { textContent: formatDuration(period.media) }),
+                createElement('td', { textContent: formatDuration(period.wall) }),
+                createElement('td', { textContent: formatDuration(period.saved) }),
+                createElement('td', { textContent: speed(period.averageSpeed) })
+            ]);
+            const head = (first) => createElement('tr', {}, [first, t('stats.watched'), t('stats.took'), t('stats.saved'), t('stats.averageSpeed')]
+                .map(text => createElement('th', { textContent: text })));
 
-        cleanupObserver() {
-            if (this.mutationObs) {
-                this.mutationObs.disconnect();
-                this.mutationObs = null;
-                this.logger.debug('Video observer disconnected.');
-            }
+            const channels = summary.channels.slice(0, CONFIG.STATS_DASHBOARD_CHANNELS);
+            this.body.replaceChildren(
+                createElement('div', { className: 'section', textContent: t('stats.since', { date: new Date(summary.since).toLocaleDateString(activeLocale) }) }),
+                createElement('table', {}, [
+                    head(''),
+                    periodRow(t('stats.today'), summary.today),
+                    periodRow(t('stats.last7Days'), summary.last7Days),
+                    periodRow(t('stats.allTime'), summary.total)
+                ]),
+                createElement('div', { className: 'section', textContent: t('stats.byChannel') }),
+                channels.length > 0
+                    ? createElement('table', {}, [head(t('stats.channel')), ...channels.map(channel => periodRow(channel.name || channel.key, channel))])
+                    : createElement('p', { className: 'empty', textContent: t('stats.empty') })
+            );
         }
 
-        cleanup() {
-            this.cleanupObserver();
-            this.currentVideo = null;
-            this.lastVideoSrc = null;
+        exportJson() {
+            const data = this.statsTracker.exportData();
+            downloadJson(`youtube-speed-stats-${data.exportedAt.slice(0, 10)}.json`, data);
+        }
+
+        async reset() {
+            if (!confirm(t('confirm.resetStats'))) return;
+            await this.statsTracker.reset();
+            this.render();
         }
     }
+
+    StatsDashboard.STYLES = `
+        .dialog { width: min(560px, 94vw); }
+        table { width: 100%; border-collapse: collapse; font-size: 13px; }
+        th, td { padding: 4px 6px; text-align: right; white-space: nowrap; }
+        th:first-child { max-width: 180px; overflow: hidden; text-overflow: ellipsis; text-align: left; font-weight: 400; }
+        tr:first-child th { color: #aaa; font-weight: 400; }
+        .empty { color: #aaa; }
+    `;
+
     // ===============================
     // MENU SYSTEM
     // ===============================
@@ -493,62 +4041,75 @@
                 return;
             }
 
-            // Clear old menu items if possible (difficult with GM_registerMenuCommand)
-            // This simple implementation will add new items on each script run if not reloaded.
-            // For true refresh, script managers usually handle this on script update/reinstall.
+            // Labels never change after registration, so settings with live state live in the settings panel
+            // and a new language shows up in the menu after a reload.
+            this.menuIds.push(this.registerMenuCommand(t('menu.settings'), () => this.mainApp.settingsPanel.open()));
+            this.menuIds.push(this.registerMenuCommand(t('menu.statistics'), () => this.mainApp.statsDashboard.open()));
+            this.menuIds.push(this.registerMenuCommand(t('menu.customSpeed'), () => this.promptCustomSpeed()));
+            this.menuIds.push(this.registerMenuCommand(t('menu.editFavorites'), () => this.promptFavoriteSpeeds()));
 
-            CONFIG.AVAILABLE_SPEEDS.forEach(speed => {
-                const menuId = this.registerMenuCommand(
-                    `${this.settingsManager.get('speed') === speed ? '✅' : '⚪'} Speed: ${speed}x`,
-                    async () => {
-                        await this.settingsManager.updateSetting('speed', speed);
-                        this.logger.log(`Speed set to ${speed}x via menu.`);
-                        this.mainApp.triggerSpeedApplication();
-                        this.refreshMenuLabels();
-                    }
-                );
-                this.menuIds.push(menuId);
-            });
+            this.menuIds.push(this.registerMenuCommand(t('menu.channelRules'), () => {}));
+            this.menuIds.push(this.registerMenuCommand(t('menu.setChannelRule'), () => this.mainApp.setChannelRuleFromCurrent()));
+            this.menuIds.push(this.registerMenuCommand(t('menu.clearChannelRule'), () => this.mainApp.clearChannelRuleForCurrent()));
 
-            this.menuIds.push(this.registerMenuCommand('─ Behavior Toggles ─', () => {}));
+            this.menuIds.push(this.registerMenuCommand(t('menu.videoMemory'), () => {}));
+            this.menuIds.push(this.registerMenuCommand(t('menu.forgetVideo'), () => this.mainApp.forgetCurrentVideoSpeed()));
+            this.menuIds.push(this.registerMenuCommand(t('menu.clearVideoHistory'), () => this.mainApp.clearVideoSpeedHistory()));
 
-            const toggles = [
-                { key: 'enableShorts', label: 'Apply to Shorts' },
-                { key: 'enableLive', label: 'Apply to Live Streams' },
-                { key: 'enablePremiere', label: 'Apply to Premieres' },
-                { key: 'enableMusic', label: 'Apply to Music (on www.youtube.com)' },
-                { key: 'debug', label: 'Debug Mode' }
-            ];
+            this.menuIds.push(this.registerMenuCommand(t('menu.backup'), () => {}));
+            this.menuIds.push(this.registerMenuCommand(t('menu.export'), () => this.mainApp.exportSettings()));
+            this.menuIds.push(this.registerMenuCommand(t('menu.import'), () => this.mainApp.importSettingsFromFile()));
 
-            toggles.forEach(({ key, label }) => {
-                const menuId = this.registerMenuCommand(
-                    `${this.settingsManager.get(key) ? '✅' : '⚪'} ${label}`,
-                    async () => {
-                        const newValue = !this.settingsManager.get(key);
-                        await this.settingsManager.updateSetting(key, newValue);
-                        if (key === 'debug') {
-                            this.mainApp.logger.setEnabled(newValue);
-                        }
-                        this.logger.log(`${label} ${newValue ? 'enabled' : 'disabled'}.`);
-                        this.mainApp.triggerSpeedApplication();
-                        this.refreshMenuLabels();
-                    }
-                );
-                this.menuIds.push(menuId);
-            });
+            this.menuIds.push(this.registerMenuCommand(t('menu.updates'), () => {}));
+            this.menuIds.push(this.registerMenuCommand(t('menu.checkUpdates'), () => this.mainApp.checkForUpdates()));
 
-            this.menuIds.push(this.registerMenuCommand('─ Script Updates ─', () => {}));
-            this.menuIds.push(this.registerMenuCommand('Check for Updates', () => this.mainApp.checkForUpdates()));
+            this.menuIds.push(this.registerMenuCommand(t('menu.troubleshooting'), () => {}));
+            this.menuIds.push(this.registerMenuCommand(t('menu.copyDiagnostics'), () => this.mainApp.copyDiagnostics()));
 
             this.logger.debug("Menus created/updated.");
         }
 
+        async promptCustomSpeed() {
+            const limits = { min: formatSpeed(CONFIG.SPEED_LIMITS.MIN), max: formatSpeed(CONFIG.SPEED_LIMITS.MAX) };
+            const input = prompt(t('prompt.customSpeed', limits), formatNumber(this.settingsManager.get('speed')));
+            if (input === null) return; // Cancelled
+            const speed = parseSpeed(input);
+            if (speed === null) {
+                this.logger.warn(`Rejected custom speed input: "${input}".`);
+                alert(t('error.invalidSpeed', { input, ...limits }));
+                return;
+            }
+            await this.settingsManager.updateSetting('speed', speed);
+            this.logger.log(`Speed set to ${speed}x via custom speed prompt.`);
+            this.mainApp.triggerSpeedApplication({ overrideUserRate: true });
+            this.refreshMenuLabels();
+        }
+
+        async promptFavoriteSpeeds() {
+            const current = this.settingsManager.get('favoriteSpeeds').map(formatNumber).join(' ');
+            const input = prompt(t('prompt.favorites'), current);
+            if (input === null) return; // Cancelled
+            const parts = input.split(/[\s;]+/).filter(Boolean);
+            const speeds = parts.map(parseSpeed);
+            const invalidIndex = speeds.indexOf(null);
+            if (parts.length === 0 || invalidIndex !== -1) {
+                alert(parts.length === 0 ? t('error.noFavorites') : t('error.invalidFavorite', {
+                    input: parts[invalidIndex], min: formatNumber(CONFIG.SPEED_LIMITS.MIN), max: formatNumber(CONFIG.SPEED_LIMITS.MAX)
+                }));
+                return;
+            }
+            const favorites = [...new Set(speeds)].sort((a, b) => a - b);
+            if (!await this.settingsManager.updateSetting('favoriteSpeeds', favorites)) {
+                alert(t('error.tooManyFavorites', { count: CONFIG.SETTINGS_SCHEMA.favoriteSpeeds.maxItems }));
+                return;
+            }
+            notify(t('notice.favorites', { speeds: favorites.map(formatSpeed).join(', ') }), t('title.favorites'));
+            this.refreshMenuLabels();
+        }
+
         refreshMenuLabels() {
-            // Standard GM_registerMenuCommand doesn't allow dynamic updating of labels.
-            // For a visual update of checkmarks, the script usually needs to be reloaded (e.g., page refresh).
-            this.logger.debug("Menu label refresh requested. Actual update of checkmarks requires script/page reload.");
-            // Consider a small notification to the user if this is confusing.
-            // alert("Menu settings changed. Checkmarks will update after a page refresh or script reload.");
+            // GM menu labels are static; the settings panel shows the live state instead.
+            this.mainApp.settingsPanel.refresh();
         }
 
         cleanup() {
@@ -566,44 +4127,48 @@
             this.timer = new Timer();
             this.debouncer = new Debouncer();
             this.settingsManager = new SettingsManager(this.logger);
-            this.videoDetector = new VideoDetector(this.logger);
-            this.videoManager = new VideoManager(this.logger, this.timer, this.debouncer); // Pass debouncer
+            this.diagnostics = new DiagnosticsLog(this.timer, this.settingsManager);
+            this.logger.setDiagnostics(this.diagnostics);
+            this.videoDetector = new VideoDetector(this.logger, this.settingsManager);
+            this.videoManager = new VideoManager(this.logger, this.timer, this.debouncer, this.settingsManager);
+            this.videoManager.onUserRateChange = (rate) => this.rememberVideoSpeed(rate);
             this.menuManager = new MenuManager(this.settingsManager, this.logger, this);
+            this.speedOverlay = new SpeedOverlay(this.timer);
+            this.settingsPanel = new SettingsPanel(this.settingsManager, this.logger, this);
+            this.statsTracker = new StatsTracker(this.logger, this.timer, this.settingsManager, this.videoDetector, this.videoManager);
+            this.statsDashboard = new StatsDashboard(this.statsTracker, this.logger);
+            this.chapterSpeeds = new ChapterSpeeds(this.logger, this.settingsManager, this.videoDetector, this.videoManager);
+            this.captionPacer = new CaptionPacer(this.logger, this.settingsManager, this.videoManager);
+            this.liveCatchUp = new LiveCatchUp(this.logger, this.settingsManager, this.videoManager);
 
             this.currentUrl = window.location.href;
-            this.isProcessingSpeedChange = false;
+            this.navigation = new AbortController(); // Aborted when the page moves on to another video
+            this.speedApplication = null; // Promise of the running triggerSpeedApplication loop
+            this.queuedApplication = null; // Options of the newest request not started yet
+            this.lastSpeedSource = null; // Where the last target speed came from ('video', 'rule', 'session', 'channel' or 'global')
+            this.sessionManualSpeed = null; // Manual speed carried over to the next videos (carryManualSpeed)
+            this.matchedRule = null; // Speed rule that decided the current video, see findSpeedRule
+            this.ruleProviders = new Map(); // name -> function(context) from registerRuleProvider
             this.eventListeners = [];
         }
 
         async initialize() {
             try {
                 await this.settingsManager.loadSettings();
+                await this.statsTracker.load();
+                await this.diagnostics.load();
+                this.diagnostics.start();
                 this.logger.setEnabled(this.settingsManager.get('debug'));
-                this.menuManager.createMenus(); // Create menus after settings are loaded
+                setLanguage(this.settingsManager.get('language'));
+                // Embeds inside other pages would add a second copy of every menu command
+                if (window.top === window) this.menuManager.createMenus(); // Create menus after settings are loaded
                 this.setupEventListeners();
+                this.settingsPanel.ensurePlayerButton();
 
                 this.logger.log(`Initialized. Preferred speed: ${this.settingsManager.get('speed')}x. URL: ${this.currentUrl.substring(0,100)}`);
                 this.debouncer.debounce('initialSpeedApply', () => this.triggerSpeedApplication(), CONFIG.TIMERS.INITIALIZATION_DELAY);
 
-                // Expose for debugging
-                if (typeof window.youtubeSpeedApp === 'object' && window.youtubeSpeedApp.controller) {
-                    // Already initialized by another instance (e.g. script manager bug)
-                    this.logger.warn("Another instance of youtubeSpeedApp.controller detected. This might cause issues.");
-                } else {
-                     window.youtubeSpeedApp = { // Keep this structure for existing README examples
-                        controller: this,
-                        getStatus: () => this.getStatus(),
-                        checkForUpdates: () => this.checkForUpdates(),
-                        toggleDebug: async () => {
-                            const newDebugState = !this.settingsManager.get('debug');
-                            await this.settingsManager.updateSetting('debug', newDebugState);
-                            this.logger.setEnabled(newDebugState);
-                            this.logger.log(`Debug mode toggled to ${newDebugState} via console.`);
-                            this.menuManager.refreshMenuLabels();
-                        }
-                    };
-                }
-
+                emitEvent('ready', { apiVersion: CONFIG.API_VERSION });
             } catch (error) {
                 this.logger.error(`Initialization error: ${error.message}`);
             }
@@ -615,6 +4180,7 @@
                 const handler = (e) => {
                     this.logger.debug(`Event: ${eventName} detected. New URL: ${window.location.href.substring(0,100)}`);
                     this.handleUrlChange(window.location.href);
+                    this.settingsPanel.ensurePlayerButton();
                 };
                 document.addEventListener(eventName, handler);
                 this.eventListeners.push({target: document, type: eventName, handler});
@@ -636,14 +4202,102 @@
             }
 
 
-            this.videoManager.setupVideoObserver(() => {
-                this.logger.debug('Video observer callback triggered (video src or element change).');
+            // Remember user interaction so rate changes it causes (e.g. YouTube's gear menu) count as manual
+            const userInputHandler = (e) => {
+                const realTarget = e.composedPath ? e.composedPath()[0] : e.target;
+                const player = document.getElementById('movie_player');
+                const isPlayerClick = e.type === 'pointerdown' && player && player.contains(e.target);
+                const isShortcut = e.type === 'keydown' && !this._isTypingTarget(e.target) && !this._isTypingTarget(realTarget);
+                if (isPlayerClick || isShortcut) this.videoManager.noteUserInput();
+            };
+            ['pointerdown', 'keydown'].forEach(type => {
+                document.addEventListener(type, userInputHandler, true);
+                this.eventListeners.push({target: document, type, handler: userInputHandler, capture: true});
+            });
+
+            // Media events don't bubble, but a capturing listener on the document still sees them
+            const timeUpdateHandler = (e) => {
+                if (e.target !== this.videoManager.currentVideo) return;
+                this.chapterSpeeds.onTimeUpdate(e.target, this.videoManager.speedActive && this.videoManager.userRate === null);
+                this.liveCatchUp.onTimeUpdate(e.target);
+                const rateOwnedElsewhere = this.videoManager.userRate !== null || this.videoManager.ramp !== null || this.liveCatchUp.active ||
+                    this.videoManager.silenceSkipper.silent || this.chapterSpeeds.appliedSpeed !== null;
+                this.captionPacer.onTimeUpdate(e.target, this.videoManager.speedActive && !rateOwnedElsewhere);
+                this.statsTracker.onTimeUpdate(e.target, this.videoManager.speedActive);
+            };
+            document.addEventListener('timeupdate', timeUpdateHandler, true);
+            this.eventListeners.push({target: document, type: 'timeupdate', handler: timeUpdateHandler, capture: true});
+
+            const keydownHandler = (e) => this.handleHotkey(e);
+            document.addEventListener('keydown', keydownHandler, true); // Capture phase, ahead of YouTube's own shortcuts
+            this.eventListeners.push({target: document, type: 'keydown', handler: keydownHandler, capture: true});
+
+            this.videoManager.setupVideoTracking(() => {
+                this.logger.debug('New video element or source is ready.');
                 this.triggerSpeedApplication();
             });
 
             window.addEventListener('beforeunload', () => this.cleanup());
         }
 
+        _isTypingTarget(target) {
+            if (!target || !target.tagName) return false;
+            return target.isContentEditable || ['INPUT', 'TEXTAREA', 'SELECT'].includes(target.tagName);
+        }
+
+        handleHotkey(event) {
+            if (!this.settingsManager.get('enableHotkeys')) return;
+            // Comment boxes and the search field live in shadow roots, so check the real target too
+            const realTarget = event.composedPath ? event.composedPath()[0] : event.target;
+            if (this._isTypingTarget(event.target) || this._isTypingTarget(realTarget)) return;
+
+            const hotkeys = this.settingsManager.get('hotkeys');
+            const action = Object.keys(hotkeys).find(name => matchesHotkey(event, hotkeys[name]));
+            if (!action) return;
+
+            const video = this.videoManager.currentVideo || document.querySelector('video.html5-main-video');
+            if (!video) return;
+
+            event.preventDefault();
+            event.stopImmediatePropagation();
+
+            const step = this.settingsManager.get('speedStep');
+            const current = video.playbackRate;
+            let newSpeed;
+            switch (action) {
+                case 'speedUp': newSpeed = current + step; break;
+                case 'speedDown': newSpeed = current - step; break;
+                case 'reset': newSpeed = 1; break;
+                case 'toggle': newSpeed = Math.abs(current - 1) <= 0.01 ? this.resolveTargetSpeed() : 1; break;
+                default: return;
+            }
+            newSpeed = Math.round(newSpeed * 10000) / 10000;
+            newSpeed = Math.min(CONFIG.SPEED_LIMITS.MAX, Math.max(CONFIG.SPEED_LIMITS.MIN, newSpeed));
+
+            this.logger.log(`Hotkey '${action}': ${current}x → ${newSpeed}x.`);
+            this.videoManager.setPlaybackSpeed(newSpeed, { origin: 'user' });
+            this.speedOverlay.show(formatSpeed(newSpeed));
+            emitEvent('speedApplied', { videoId: getVideoIdFromUrl(), videoType: null, speed: newSpeed, source: 'hotkey' });
+        }
+
+        /**
+         * Sets the current video's speed on behalf of another script. Counts as a manual choice, so
+         * it is kept for the rest of the video.
+         * @param {number} speed
+         * @returns {Promise<boolean>} false if the speed is invalid or there is no video
+         */
+        async setSpeed(speed) {
+            if (!isValidSpeed(speed)) {
+                this.logger.warn(`setSpeed: ${speed} is not a valid speed.`);
+                return false;
+            }
+            await this.videoManager.setPlaybackSpeed(speed, { origin: 'user' });
+            const video = this.videoManager.currentVideo;
+            if (!video || Math.abs(video.playbackRate - speed) > 0.01) return false;
+            emitEvent('speedApplied', { videoId: getVideoIdFromUrl(), videoType: null, speed, source: 'api' });
+            return true;
+        }
+
         handleUrlChange(newUrl) {
             // Check if it's a significant change or just a hash change on the same video page
             const oldBaseUrl = this.currentUrl.split('#')[0].split('?')[0];
@@ -659,8 +4313,22 @@
             }
 
             this.logger.log(`URL or video context changed. New URL: ${newUrl.substring(0,100)}`);
+            this.diagnostics.record('navigation', newUrl);
+            if (this.videoManager.userRate !== null && this.settingsManager.get('carryManualSpeed')) {
+                this.sessionManualSpeed = this.videoManager.userRate;
+                this.logger.log(`Carrying manual speed ${this.sessionManualSpeed}x to the next video.`);
+            }
+            this.chapterSpeeds.reset();
+            this.captionPacer.reset();
+            this.liveCatchUp.deactivate();
+            this.videoManager.setSpeedActive(false);
+            this.videoManager.resetRateTracking();
+            this.matchedRule = null;
             this.currentUrl = newUrl;
-            this.isProcessingSpeedChange = false;
+            // Work still waiting for the previous video gives up; requests queued for it now apply to this one
+            this.navigation.abort(new DOMException('Superseded by navigation.', 'AbortError'));
+            this.navigation = new AbortController();
+            if (this.queuedApplication) this.queuedApplication.overrideUserRate = false;
             this.videoDetector.clearCache();
             // VideoManager's currentVideo will be re-evaluated by findVideoElement
 
@@ -669,42 +4337,374 @@
             }, CONFIG.TIMERS.RETRY_DELAY);
         }
 
-        async triggerSpeedApplication() {
-            if (this.isProcessingSpeedChange) {
-                this.logger.debug("Speed application already processing, request ignored.");
-                return;
+        /**
+         * Decides and applies the speed for the current video. Requests made while one is running are
+         * not dropped: the newest is queued and runs once the current one finishes. A navigation aborts
+         * the running request, so it stops waiting for the old page's video.
+         * @param {{overrideUserRate?: boolean}} [options] `overrideUserRate` when the user just picked a new
+         *        default speed, which supersedes a speed they chose manually for the current video
+         * @returns {Promise<void>} Settles once this request (or a newer one replacing it) has run
+         */
+        triggerSpeedApplication(options = {}) {
+            const queued = this.queuedApplication;
+            // An override waiting in the queue must survive being replaced by a plain request
+            this.queuedApplication = { overrideUserRate: !!options.overrideUserRate || !!(queued && queued.overrideUserRate) };
+            if (this.speedApplication) {
+                this.logger.debug('Speed application in progress, queued the new request.');
+                return this.speedApplication;
+            }
+            this.speedApplication = this._runQueuedApplications().finally(() => {
+                this.speedApplication = null;
+            });
+            return this.speedApplication;
+        }
+
+        async _runQueuedApplications() {
+            while (this.queuedApplication) {
+                const options = this.queuedApplication;
+                this.queuedApplication = null;
+                await this._applySpeed(options, this.navigation.signal);
             }
-            this.isProcessingSpeedChange = true;
+        }
+
+        /**
+         * One run of the speed decision. Stops without touching the rate or emitting events as soon as
+         * `signal` is aborted, since the page has moved on and the decision would be stale.
+         * @param {{overrideUserRate: boolean}} options
+         * @param {AbortSignal} signal
+         */
+        async _applySpeed(options, signal) {
             this.logger.debug("Triggering speed application...");
 
             try {
+                const videoId = getVideoIdFromUrl();
+                if (options.overrideUserRate) {
+                    this.videoManager.resetRateTracking();
+                    this.sessionManualSpeed = null;
+                    if (videoId) await this.settingsManager.forgetVideoSpeed(videoId);
+                    if (signal.aborted) return;
+                }
+                if (this.videoManager.userRate !== null) {
+                    this.logger.log(`Keeping ${this.videoManager.userRate}x chosen by the user for this video.`);
+                    emitEvent('speedSkipped', { videoId, videoType: null, reason: 'userRate' });
+                    return;
+                }
+                if (isEmbedPage() && !this.settingsManager.get('enableEmbeds')) {
+                    this.logger.log('Embedded players are turned off, leaving the speed alone.');
+                    this.videoManager.setSpeedActive(false);
+                    emitEvent('speedSkipped', { videoId, videoType: null, reason: 'embedsDisabled' });
+                    return;
+                }
+
+                // A speed the user picked for this exact video on an earlier visit beats every default
+                const rememberedSpeed = this.settingsManager.get('rememberVideoSpeed') ? this.settingsManager.getVideoSpeed(videoId) : null;
+                if (rememberedSpeed !== null) {
+                    this.lastSpeedSource = { source: 'video', videoId, speed: rememberedSpeed };
+                    this.logger.log(`Applying remembered speed ${rememberedSpeed}x for video ${videoId}.`);
+                    this.debouncer.debounce('saveVideoSpeeds', () => this.settingsManager.saveVideoSpeeds(), CONFIG.TIMERS.VIDEO_MEMORY_SAVE_DELAY);
+                    this.videoManager.setSpeedActive(true);
+                    await this.videoManager.setPlaybackSpeed(rememberedSpeed, { signal });
+                    if (signal.aborted) return;
+                    emitEvent('speedApplied', { videoId, videoType: null, speed: rememberedSpeed, source: 'video' });
+                    return;
+                }
+
                 const videoType = this.videoDetector.getVideoType();
                 this.logger.debug(`Detected video type: '${videoType}'.`);
+                emitEvent('videoTypeDetected', { ...this.videoDetector.lastDetection });
 
                 const settings = this.settingsManager.settings;
+                if (videoType !== 'live' || settings.liveMode !== 'catchUp') this.liveCatchUp.deactivate();
+                const rule = this.findSpeedRule(videoType);
+                if (rule) {
+                    await this.applySpeedRule(rule, videoType, signal);
+                    return;
+                }
                 let shouldApply = false;
 
                 switch (videoType) {
                     case 'regular': shouldApply = true; break;
                     case 'shorts': shouldApply = settings.enableShorts; break;
-                    case 'live': shouldApply = settings.enableLive; break;
+                    case 'live':
+                        if (settings.liveMode === 'catchUp') {
+                            this.videoManager.setSpeedActive(true);
+                            this.liveCatchUp.activate();
+                            emitEvent('speedApplied', { videoId, videoType, speed: null, source: 'liveCatchUp' });
+                            return;
+                        }
+                        shouldApply = settings.liveMode === 'speed';
+                        break;
                     case 'premiere': shouldApply = settings.enablePremiere; break;
                     case 'music': shouldApply = settings.enableMusic; break;
                     default: this.logger.warn(`Unknown video type: ${videoType}`);
                 }
+                this.videoManager.setSpeedActive(shouldApply);
 
                 if (shouldApply) {
-                    this.logger.log(`Applying speed for '${videoType}' video (target: ${settings.speed}x).`);
-                    await this.videoManager.setPlaybackSpeed(settings.speed);
+                    const targetSpeed = this.resolveTargetSpeed();
+                    this.logger.log(`Applying speed for '${videoType}' video (target: ${targetSpeed}x, source: ${this.lastSpeedSource.source}).`);
+                    await this.videoManager.setPlaybackSpeed(targetSpeed, { signal });
+                    if (signal.aborted) return;
+                    emitEvent('speedApplied', { videoId, videoType, speed: targetSpeed, source: this.lastSpeedSource.source });
                 } else {
                     this.logger.log(`Skipping speed change for '${videoType}' video as per settings.`);
-                    // Consider if we should revert to 1x if speed was previously changed by this script
-                    // For now, just skip applying the new speed.
+                    emitEvent('speedSkipped', { videoId, videoType, reason: 'videoType' });
+                    // Don't let a speed the script set for the previous video carry over
+                    const skipSpeed = settings.skipSpeeds[videoType];
+                    if (skipSpeed !== undefined) {
+                        await this.videoManager.restoreScriptRate(skipSpeed, signal);
+                    }
+                }
+            } catch (error) {
+                if (error.name === 'AbortError') {
+                    this.logger.debug(`Speed application cancelled: ${error.message}`);
+                } else {
+                    this.logger.error(`Error in triggerSpeedApplication: ${error.message}`);
+                }
+            }
+        }
+
+        /**
+         * Returns the first enabled speed rule whose conditions all hold for the current video.
+         * The result is also kept in `matchedRule` for getStatus().
+         * @param {string} videoType
+         * @returns {{index: number, rule: Object}|null}
+         */
+        findSpeedRule(videoType) {
+            this.matchedRule = null;
+            const rules = this.settingsManager.get('speedRules');
+            if (rules.length === 0 && this.ruleProviders.size === 0) return null;
+
+            const url = new URL(window.location.href);
+            const context = {
+                videoType,
+                title: this.videoDetector.getVideoTitle(),
+                duration: this.videoDetector.getDuration(),
+                playlist: url.searchParams.get('list'),
+                url: url.href
+            };
+            const index = rules.findIndex(rule => rule.enabled !== false && this._ruleMatches(rule, context));
+            if (index !== -1) {
+                this.matchedRule = { index, rule: rules[index] };
+                return this.matchedRule;
+            }
+
+            // Rules from other scripts come after the user's own
+            const channel = this.videoDetector.getChannelInfo();
+            const providerContext = { ...context, videoId: getVideoIdFromUrl(), channel: channel ? { ...channel } : null };
+            for (const [name, provider] of this.ruleProviders) {
+                let rule;
+                try {
+                    rule = provider(toPage(providerContext));
+                } catch (error) {
+                    this.logger.warn(`Rule provider '${name}' failed: ${error.message}`);
+                    continue;
+                }
+                if (rule === null || rule === undefined) continue;
+                // Only the action fields count; conditions are the provider's business
+                const actionFields = Object.fromEntries(['name', 'action', 'speed'].filter(key => rule[key] !== undefined).map(key => [key, rule[key]]));
+                const result = this.settingsManager.validateSetting('speedRules', [actionFields]);
+                if (!result.valid) {
+                    this.logger.warn(`Rule provider '${name}' returned an invalid rule (${result.reason}), ignored.`);
+                    continue;
+                }
+                this.matchedRule = { index: null, provider: name, rule: result.value[0] };
+                return this.matchedRule;
+            }
+            return null;
+        }
+
+        /**
+         * Adds a function that can decide the speed of a video after the user's speed rules found no
+         * match. It gets the video's context and returns `{action: 'speed', speed}`, `{action: 'skip'}`,
+         * `{action: 'ignore'}` or null to pass.
+         * @param {string} name
+         * @param {function(Object): ?Object} provider
+         */
+        registerRuleProvider(name, provider) {
+            this.logger.log(`Rule provider '${name}' registered.`);
+            this.ruleProviders.set(name, provider);
+        }
+
+        unregisterRuleProvider(name) {
+            return this.ruleProviders.delete(name);
+        }
+
+        _ruleMatches(rule, context) {
+            if (rule.videoTypes && rule.videoTypes.length > 0 && !rule.videoTypes.includes(context.videoType)) return false;
+            if (rule.title !== undefined && !new RegExp(rule.title, 'i').test(context.title)) return false;
+            if (rule.minMinutes !== undefined || rule.maxMinutes !== undefined) {
+                if (context.duration === null) return false; // Unknown length never matches a duration range
+                const minutes = context.duration / 60;
+                if (rule.minMinutes !== undefined && minutes < rule.minMinutes) return false;
+                if (rule.maxMinutes !== undefined && minutes > rule.maxMinutes) return false;
+            }
+            if (rule.playlist !== undefined && context.playlist !== rule.playlist) return false;
+            if (rule.url !== undefined && !new RegExp(rule.url, 'i').test(context.url)) return false;
+            return true;
+        }
+
+        async applySpeedRule({ index, provider, rule }, videoType, signal) {
+            const label = rule.name ? `'${rule.name}'` : (provider ? `from '${provider}'` : `#${index + 1}`);
+            this.videoManager.setSpeedActive(rule.action === 'speed');
+            switch (rule.action) {
+                case 'speed':
+                    this.lastSpeedSource = { source: 'rule', rule: index, provider: provider || null, speed: rule.speed };
+                    this.logger.log(`Speed rule ${label} matched: applying ${rule.speed}x.`);
+                    await this.videoManager.setPlaybackSpeed(rule.speed, { signal });
+                    if (signal.aborted) return;
+                    emitEvent('speedApplied', { videoId: getVideoIdFromUrl(), videoType, speed: rule.speed, source: 'rule' });
+                    break;
+                case 'skip': {
+                    // Same as a skipped video type: undo a speed the script set for the previous video
+                    const skipSpeed = this.settingsManager.get('skipSpeeds')[videoType];
+                    this.logger.log(`Speed rule ${label} matched: skipping '${videoType}' video.`);
+                    await this.videoManager.restoreScriptRate(skipSpeed !== undefined ? skipSpeed : 1, signal);
+                    if (signal.aborted) return;
+                    emitEvent('speedSkipped', { videoId: getVideoIdFromUrl(), videoType, reason: 'rule' });
+                    break;
+                }
+                case 'ignore':
+                    this.logger.log(`Speed rule ${label} matched: leaving the speed alone.`);
+                    emitEvent('speedSkipped', { videoId: getVideoIdFromUrl(), videoType, reason: 'rule' });
+                    break;
+            }
+        }
+
+        /**
+         * Picks the speed for the current video: a carried-over manual speed wins over a rule for its
+         * channel, which wins over the global speed.
+         * @returns {number}
+         */
+        resolveTargetSpeed() {
+            if (this.sessionManualSpeed !== null && this.settingsManager.get('carryManualSpeed')) {
+                this.lastSpeedSource = { source: 'session', speed: this.sessionManualSpeed };
+                return this.sessionManualSpeed;
+            }
+            const channel = this.videoDetector.getChannelInfo();
+            const channelRule = channel ? (this.settingsManager.getChannelRule(channel.key) || this.settingsManager.getChannelRule(channel.id)) : null;
+            if (channelRule) {
+                this.lastSpeedSource = { source: 'channel', channel: channel.key, speed: channelRule.speed };
+                this.logger.debug(`Channel rule found for ${channel.name || channel.key}: ${channelRule.speed}x.`);
+                return channelRule.speed;
+            }
+            const speed = this.settingsManager.get('speed');
+            this.lastSpeedSource = { source: 'global', channel: channel ? channel.key : null, speed };
+            return speed;
+        }
+
+        rememberVideoSpeed(rate) {
+            const videoId = getVideoIdFromUrl();
+            if (!this.settingsManager.get('rememberVideoSpeed') || !videoId) return;
+            this.settingsManager.setVideoSpeed(videoId, rate);
+            // Hotkeys can fire many changes in a row; write once they settle
+            this.debouncer.debounce('saveVideoSpeeds', () => this.settingsManager.saveVideoSpeeds(), CONFIG.TIMERS.VIDEO_MEMORY_SAVE_DELAY);
+            this.logger.debug(`Remembered ${rate}x for video ${videoId}.`);
+        }
+
+        /**
+         * @param {string} [videoId] Defaults to the current video
+         * @returns {Promise<boolean>} false if nothing was remembered for the video
+         */
+        async forgetVideoSpeed(videoId = getVideoIdFromUrl()) {
+            return videoId ? this.settingsManager.forgetVideoSpeed(videoId) : false;
+        }
+
+        async forgetCurrentVideoSpeed() {
+            const videoId = getVideoIdFromUrl();
+            if (!videoId) {
+                notify(t('notice.noVideo'), t('title.videoMemory'));
+                return;
+            }
+            const forgotten = await this.forgetVideoSpeed(videoId);
+            notify(t(forgotten ? 'notice.videoForgotten' : 'notice.videoNotRemembered'), t('title.videoMemory'));
+        }
+
+        async clearVideoSpeedHistory() {
+            const count = await this.settingsManager.clearVideoSpeeds();
+            notify(t('notice.historyCleared', { count }), t('title.videoMemory'));
+            return count;
+        }
+
+        async setChannelRuleFromCurrent() {
+            const channel = this.videoDetector.getChannelInfo();
+            if (!channel) {
+                this.logger.warn('Cannot set channel rule: no channel found on this page.');
+                notify(t('notice.noChannel'), t('title.channelRule'));
+                return;
+            }
+            const video = this.videoManager.currentVideo;
+            const speed = video ? Math.round(video.playbackRate * 100) / 100 : this.settingsManager.get('speed');
+            await this.settingsManager.setChannelRule(channel.key, speed, channel.name);
+            notify(t('notice.channelRuleSet', { channel: channel.name || channel.key, speed: formatSpeed(speed) }), t('title.channelRule'));
+        }
+
+        async clearChannelRuleForCurrent() {
+            const channel = this.videoDetector.getChannelInfo();
+            if (!channel) {
+                this.logger.warn('Cannot clear channel rule: no channel found on this page.');
+                notify(t('notice.noChannel'), t('title.channelRule'));
+                return;
+            }
+            const cleared = await this.settingsManager.clearChannelRule(channel.key);
+            notify(t(cleared ? 'notice.channelRuleCleared' : 'notice.channelNoRule', { channel: channel.name || channel.key }), t('title.channelRule'));
+            if (cleared) this.triggerSpeedApplication({ overrideUserRate: true });
+        }
+
+        exportSettings() {
+            const data = this.settingsManager.exportState();
+            downloadJson(`youtube-speed-settings-${data.exportedAt.slice(0, 10)}.json`, data);
+            this.logger.log('Settings exported.');
+            return data;
+        }
+
+        /**
+         * Imports an export document given as JSON text or an already parsed object.
+         * @param {string|Object} input
+         * @param {{mode?: 'merge'|'replace'}} [options]
+         * @returns {Promise<{success: boolean, errors?: string[], changes?: string[]}>}
+         */
+        async importSettings(input, options = {}) {
+            let data = input;
+            if (typeof input === 'string') {
+                try {
+                    data = JSON.parse(input);
+                } catch (error) {
+                    return { success: false, errors: [`The file is not valid JSON: ${error.message}`] };
                 }
+            }
+            const result = await this.settingsManager.importState(data, options.mode || 'merge');
+            if (result.success) {
+                this.logger.setEnabled(this.settingsManager.get('debug'));
+                setLanguage(this.settingsManager.get('language'));
+                this.settingsPanel.refresh();
+                this.triggerSpeedApplication();
+            }
+            return result;
+        }
+
+        async importSettingsFromFile() {
+            let text;
+            try {
+                text = await pickJsonFile();
             } catch (error) {
-                this.logger.error(`Error in triggerSpeedApplication: ${error.message}`);
-            } finally {
-                this.isProcessingSpeedChange = false;
+                this.logger.error(`Failed to read settings file: ${error.message}`);
+                alert(t('error.readFile', { error: error.message }));
+                return;
+            }
+            if (text === null) return; // Cancelled
+
+            const modeInput = prompt(t('prompt.importMode'), 'merge');
+            if (modeInput === null) return; // Cancelled
+            const mode = modeInput.trim().toLowerCase();
+
+            const result = await this.importSettings(text, { mode });
+            if (!result.success) {
+                alert(t('import.failed', { errors: `- ${result.errors.join('\n- ')}` }));
+            } else if (result.changes.length === 0) {
+                alert(t('import.unchanged', { mode }));
+            } else {
+                alert(t('import.changed', { mode, count: result.changes.length, changes: `- ${result.changes.join('\n- ')}` }));
             }
         }
 
@@ -713,6 +4713,11 @@
             this.debouncer.clear();
             this.videoManager.cleanup();
             this.menuManager.cleanup();
+            this.speedOverlay.cleanup();
+            this.settingsPanel.cleanup();
+            this.statsDashboard.close();
+            this.statsTracker.save();
+            this.diagnostics.cleanup();
 
             this.eventListeners.forEach(listener => {
                 if (listener.observer) {
@@ -731,11 +4736,7 @@
 
             if (!scriptInfo) {
                 this.logger.error('GM_info is not available. Cannot check for updates.');
-                if (typeof GM_notification === 'function') {
-                    GM_notification({ text: 'GM_info not available. Update check failed.', title: 'Script Update Error', timeout: 5000 });
-                } else {
-                    alert('GM_info not available. Update check failed.');
-                }
+                notify(t('update.noGmInfo'), t('title.updateError'));
                 return;
             }
 
@@ -745,13 +4746,8 @@
             const scriptName = scriptInfo.name || CONFIG.SCRIPT_NAME;
 
             if (!updateURL) {
-                const msg = 'Update URL is missing in script metadata. Cannot check for updates.';
-                this.logger.warn(msg);
-                if (typeof GM_notification === 'function') {
-                    GM_notification({ text: msg, title: `${scriptName} - Update Error`, timeout: 7000 });
-                } else {
-                    alert(msg);
-                }
+                this.logger.warn('Update URL is missing in script metadata. Cannot check for updates.');
+                notify(t('update.noUrl'), t('title.updateError'), 7000);
                 return;
             }
             this.logger.debug(`Update URL: ${updateURL}`);
@@ -771,70 +4767,125 @@
 
                             if (compareVersions(remoteVersion, currentVersion) > 0) {
                                 this.logger.log(`New version available: ${remoteVersion}`);
-                                const updateMessage = `A new version (${remoteVersion}) of ${scriptName} is available.`;
+                                const updateMessage = t('update.available', { version: remoteVersion, name: scriptName });
                                 if (typeof GM_notification === 'function') {
                                     GM_notification({
-                                        text: `${updateMessage} Click to install.`,
-                                        title: `${scriptName} - Update Available`,
+                                        text: `${updateMessage} ${t('update.clickToInstall')}`,
+                                        title: `${scriptName} - ${t('title.updateAvailable')}`,
                                         onclick: () => {
                                             if (downloadURL) {
                                                 window.open(downloadURL, '_blank');
                                             } else {
                                                 this.logger.warn('Download URL not found. Cannot open update page.');
-                                                alert('Update available, but no download URL configured.');
+                                                alert(t('update.noDownloadUrl'));
                                             }
                                         },
                                         timeout: 0
                                     });
-                                } else if (confirm(`${updateMessage}\n\nGo to download page?`)) {
+                                } else if (confirm(`${updateMessage}\n\n${t('update.goToDownload')}`)) {
                                     if (downloadURL) {
                                         window.open(downloadURL, '_blank');
                                     } else {
                                         this.logger.warn('Download URL not found.');
-                                        alert('Update available, but no download URL configured.');
+                                        alert(t('update.noDownloadUrl'));
                                     }
                                 }
                             } else {
-                                const uptodateMsg = `Your version of ${scriptName} (${currentVersion}) is up to date.`;
-                                this.logger.log(uptodateMsg);
-                                if (typeof GM_notification === 'function') {
-                                    GM_notification({ text: uptodateMsg, title: `${scriptName} - Up to Date`, timeout: 5000 });
-                                } else {
-                                    alert(uptodateMsg);
-                                }
+                                this.logger.log(`Your version of ${scriptName} (${currentVersion}) is up to date.`);
+                                notify(t('update.upToDate', { name: scriptName, version: currentVersion }), t('title.upToDate'));
                             }
                         } else {
                             this.logger.warn(`Could not parse @version from remote script at ${updateURL}`);
                             if (typeof GM_notification === 'function') {
-                                GM_notification({ text: 'Could not determine remote version.', title: `${scriptName} - Update Check Failed`, timeout: 7000 });
+                                notify(t('update.noRemoteVersion'), t('title.updateFailed'), 7000);
                             }
                         }
                     } else {
                         this.logger.error(`Error fetching update from ${updateURL}: ${response.status} ${response.statusText}`);
                         if (typeof GM_notification === 'function') {
-                            GM_notification({ text: `Error fetching update: ${response.statusText}`, title: `${scriptName} - Update Check Failed`, timeout: 7000 });
+                            notify(t('update.fetchError', { status: response.statusText }), t('title.updateFailed'), 7000);
                         }
                     }
                 },
                 onerror: (error) => {
                     this.logger.error(`Network error while checking for updates from ${updateURL}:`, error);
                     if (typeof GM_notification === 'function') {
-                        GM_notification({ text: 'Network error during update check. See console.', title: `${scriptName} - Update Check Failed`, timeout: 7000 });
+                        notify(t('update.networkError'), t('title.updateFailed'), 7000);
                     }
                 }
             });
         }
 
+        /**
+         * Bundles the diagnostics log with the current status and versions for a bug report.
+         * Only URLs are redacted: video IDs and channel names in the status and log are kept, so the
+         * report can still show what was watched.
+         * @returns {Object}
+         */
+        getDiagnosticsReport() {
+            const scriptInfo = (typeof GM_info !== 'undefined' && GM_info.script) ? GM_info.script : {};
+            const report = {
+                format: CONFIG.DIAGNOSTICS_FORMAT,
+                generatedAt: new Date().toISOString(),
+                script: { name: scriptInfo.name || CONFIG.SCRIPT_NAME, version: scriptInfo.version || null },
+                manager: typeof GM_info !== 'undefined' ? { name: GM_info.scriptHandler || null, version: GM_info.version || null } : null,
+                userAgent: navigator.userAgent,
+                locale: activeLocale,
+                page: window.location.href,
+                status: this.getStatus(),
+                entries: this.diagnostics.entries
+            };
+            return JSON.parse(JSON.stringify(report, (key, value) => typeof value === 'string' ? redactUrls(value) : value));
+        }
+
+        async copyDiagnostics() {
+            const report = this.getDiagnosticsReport();
+            const text = JSON.stringify(report, null, 2);
+            const setClipboard = (typeof GM !== 'undefined' && GM.setClipboard) ?
+                                 GM.setClipboard : (typeof GM_setClipboard !== 'undefined' ? GM_setClipboard : null);
+            try {
+                if (setClipboard) {
+                    await setClipboard(text);
+                } else {
+                    await navigator.clipboard.writeText(text);
+                }
+                notify(t('notice.diagnosticsCopied', { count: report.entries.length }), t('title.diagnostics'));
+            } catch (error) {
+                this.logger.warn(`Could not copy diagnostics (${error.message}); downloading them instead.`);
+                downloadJson(`youtube-speed-diagnostics-${report.generatedAt.slice(0, 10)}.json`, report);
+                notify(t('notice.diagnosticsDownloaded'), t('title.diagnostics'));
+            }
+            return text;
+        }
+
         getStatus() {
             return {
                 settings: this.settingsManager.settings,
                 currentUrl: this.currentUrl,
                 videoType: this.videoManager.currentVideo ? this.videoDetector.getVideoType() : 'N/A (no video)',
-                isProcessingSpeedChange: this.isProcessingSpeedChange,
+                detection: this.videoDetector.lastDetection,
+                embedded: isEmbedPage(),
+                silenceSkipping: this.videoManager.silenceSkipper.getState(),
+                chapter: this.chapterSpeeds.getState(),
+                captionPacing: this.captionPacer.getState(),
+                liveCatchUp: this.liveCatchUp.getState(),
+                musicClassification: this.videoManager.currentVideo ? this.videoDetector.classifyMusic() : null,
+                speedApplication: { running: this.speedApplication !== null, queued: this.queuedApplication },
+                channel: this.videoDetector.getChannelInfo(),
+                speedSource: this.lastSpeedSource,
+                matchedRule: this.matchedRule,
+                sessionManualSpeed: this.sessionManualSpeed,
+                channelRules: this.settingsManager.channelRules,
+                rememberedVideoSpeed: this.settingsManager.videoSpeeds.peek(getVideoIdFromUrl()) || null,
+                videoSpeedHistorySize: this.settingsManager.videoSpeeds.size,
                 videoState: {
                     element: this.videoManager.currentVideo ? 'Found' : 'Not Found',
                     src: this.videoManager.lastVideoSrc ? this.videoManager.lastVideoSrc.substring(0, 70) + '...' : 'N/A',
                     playbackRate: this.videoManager.currentVideo ? this.videoManager.currentVideo.playbackRate : 'N/A',
+                    rateSetBy: this.videoManager.rateOrigin || 'N/A',
+                    userRate: this.videoManager.userRate,
+                    enforcement: this.videoManager.enforcement,
+                    ramp: this.videoManager.ramp ? { rate: this.videoManager.ramp.rate, target: this.videoManager.ramp.target, step: this.videoManager.ramp.step + 1, steps: this.settingsManager.get('rampSteps') } : null,
                     readyState: this.videoManager.currentVideo ? this.videoManager.currentVideo.readyState : 'N/A',
                 },
                 loggerEnabled: this.logger.enabled,
@@ -853,24 +4904,71 @@
 
     const app = new YouTubeSpeedController();
 
-    // Expose a minimal debug interface on window.youtubeSpeedApp
-     window.youtubeSpeedApp = { // Keep this structure for existing README examples
-        controller: app, // For direct access if needed
-        getStatus: () => app.getStatus(),
-        checkForUpdates: () => app.checkForUpdates(),
-        toggleDebug: async () => {
-            if (app && app.settingsManager && app.logger && app.menuManager) {
+    /**
+     * Builds the public API exposed as `window.youtubeSpeedApp`. Everything here is covered by
+     * CONFIG.API_VERSION; the `controller` field is for debugging only and may change at any time.
+     * @param {YouTubeSpeedController} app
+     */
+    function createPublicApi(app) {
+        const subscriptions = new Map(); // event name -> Map(handler -> DOM listener)
+        const unsubscribe = (name, handler) => {
+            const handlers = subscriptions.get(name);
+            if (!handlers || !handlers.has(handler)) return;
+            document.removeEventListener(`${CONFIG.EVENT_PREFIX}${name}`, handlers.get(handler));
+            handlers.delete(handler);
+        };
+        return {
+            apiVersion: CONFIG.API_VERSION,
+            controller: app,
+            getStatus: () => app.getStatus(),
+            checkForUpdates: () => app.checkForUpdates(),
+            exportSettings: () => app.exportSettings(),
+            importSettings: (input, options) => app.importSettings(input, options),
+            forgetVideoSpeed: (videoId) => app.forgetVideoSpeed(videoId),
+            clearVideoSpeedHistory: () => app.clearVideoSpeedHistory(),
+            getDiagnostics: () => app.getDiagnosticsReport(),
+            getSpeed: () => app.videoManager.currentVideo ? app.videoManager.currentVideo.playbackRate : null,
+            setSpeed: (speed) => app.setSpeed(speed),
+            /**
+             * Calls `handler(detail)` for every `ytds:<name>` event.
+             * @returns {function(): void} Unsubscribes again
+             */
+            on(name, handler) {
+                if (!subscriptions.has(name)) subscriptions.set(name, new Map());
+                const handlers = subscriptions.get(name);
+                if (!handlers.has(handler)) {
+                    const listener = (event) => handler(event.detail);
+                    handlers.set(handler, listener);
+                    document.addEventListener(`${CONFIG.EVENT_PREFIX}${name}`, listener);
+                }
+                return () => unsubscribe(name, handler);
+            },
+            off: (name, handler) => unsubscribe(name, handler),
+            registerDetector: (name, detector) => app.videoDetector.registerDetector(name, detector),
+            unregisterDetector: (name) => app.videoDetector.unregisterDetector(name),
+            registerRuleProvider: (name, provider) => app.registerRuleProvider(name, provider),
+            unregisterRuleProvider: (name) => app.unregisterRuleProvider(name),
+            toggleDebug: async () => {
                 const newDebugState = !app.settingsManager.get('debug');
                 await app.settingsManager.updateSetting('debug', newDebugState);
                 app.logger.setEnabled(newDebugState);
                 app.logger.log(`Debug mode toggled to ${newDebugState} via console.`);
                 app.menuManager.refreshMenuLabels();
-            } else {
-                console.error("App not fully initialized for debug toggle.");
             }
-        }
-    };
+        };
+    }
 
+    const publicApi = createPublicApi(app);
+    window.youtubeSpeedApp = publicApi;
+    if (pageWindow !== window) {
+        // Other userscripts and the page see the page's window, not this script's sandbox
+        const { controller, ...sandboxApi } = publicApi;
+        // Cloning only wraps the functions; what they return has to be made readable as well
+        const pageApi = Object.fromEntries(Object.entries(sandboxApi).map(([name, value]) => (
+            [name, typeof value === 'function' ? (...args) => toPage(value(...args)) : value]
+        )));
+        pageWindow.youtubeSpeedApp = typeof cloneInto === 'function' ? cloneInto(pageApi, pageWindow, { cloneFunctions: true }) : pageApi;
+    }
 
     if (document.readyState === 'loading') {
         document.addEventListener('DOMContentLoaded', () => app.initialize(), { once: true });